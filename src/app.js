@@ -7,13 +7,49 @@
 let isMenuOpen = false;
 let isUrlBarOpen = false;
 let isAboutOpen = false;
+let isPromptOpen = false;
+let isHelpOpen = false; // Keyboard help overlay
+let isFindActive = false; // Find-in-page results are highlighted in the reader
+let findMatches = [];
+let findIndex = -1;
+let findQuery = '';
+let isReadingAloud = false; // Read Aloud is speaking (or paused on) a reader block
+let isReadAloudPaused = false;
+let readAloudBlocks = [];
+let readAloudIndex = -1;
+let isLinkHintsActive = false; // Numbered labels are shown over the links in view
+let linkHints = []; // { el, label, badge }
+let linkHintInput = ''; // Digits typed so far
+let linkHintPress = null; // { hint, timer } while the digit completing a label is held
+let readAloudGeneration = 0; // Bumped on every skip/stop so callbacks from cancelled speech are ignored
+let promptCallback = null; // Called with the entered text when the prompt overlay is confirmed
+let promptReturnFocus = null;
 let currUrl = "";
-let historyStack = [];
+let currTitle = ""; // <title> of the page in the reader
+let historyStack = []; // Back entries: { url, title, scrollTop, linkIndex }
+let forwardStack = []; // Forward entries, most recent last
+let tabs = []; // { id, back, forward, current }; the active tab's live state is in the globals above
+let activeTabIndex = 0;
+let menuLinkTarget = ''; // href of the link that was selected when the menu opened
+let menuHideRule = ''; // "Hide this block" rule for the item that was selected when the menu opened
 let currentSize = getSafeLocalStorage('userTextSize', 'medium');
 let colorMode = getSafeLocalStorage('colorMode', 'light');
 let isLoading = false;
 let selectedLinkIndex = -1;
+let activeActivity = null; // Pending "view" web activity from another app
+let activityReturnDepth = 0; // historyStack depth at which BACK returns to the caller
+let activityLoadFailed = false;
+let queuedActivity = null; // "view" activity that arrived while another page was loading
+let sessionImageBytes = 0; // Image data downloaded since launch
+let imageLoadGeneration = 0; // Bumped per page so queued auto-loads for old pages are dropped
+let currentOpenSearchUrl = ''; // OpenSearch description advertised by the current page
+let currentFeedLinks = []; // RSS/Atom feeds advertised by the current page: { url, title }
+let currentEncoding = ''; // Character encoding the current page was decoded with
+let currentNextPageUrl = ''; // The current page's "next" link, followed when Read Aloud reaches the end
 const MAX_HISTORY = 50; // Prevent memory issues
+const MAX_TABS = 5; // Only the active tab keeps a rendered page; others reload when switched to
+const MAX_HISTORY_ENTRIES = 500; // Persistent browsing history cap (localStorage quota)
+const HISTORY_DISPLAY_LIMIT = 100; // Entries rendered at once in the History screen
 const REQUEST_TIMEOUT = 15000;
 
 // --- UTILITY: SAFE LOCALSTORAGE ACCESS ---
@@ -46,9 +82,23 @@ style.innerHTML = `
 document.head.appendChild(style);
 
 // --- PAGE LOADER & SCRAPER ---
-async function loadPage(url, isBackAction = false) {
-    if (isLoading) return; // Prevent duplicate requests
+// Stop what belongs to the page being left: find, link hints, Read Aloud and pending image loads
+function leaveCurrentPage() {
+    endFind();
+    endLinkHints();
+    stopReadAloud();
+    imageLoadGeneration++;
+}
+
+// Resolves to true when the page rendered, false otherwise
+// options: { method: 'GET' | 'POST', body: url-encoded string } for form submissions,
+//          { restore: entry } to bring back the scroll position and link of a session entry
+async function loadPage(url, isBackAction = false, options = {}) {
+    if (isLoading) return false; // Prevent duplicate requests
     isLoading = true;
+    let loaded = false;
+    const requestedUrl = url;
+    leaveCurrentPage();
 
     const loader = document.getElementById('loading-screen');
     if (loader) loader.classList.remove('hidden');
@@ -57,117 +107,80 @@ async function loadPage(url, isBackAction = false) {
     if (!url || typeof url !== 'string') {
         showError('Invalid URL');
         isLoading = false;
-        return;
+        return false;
     }
 
-    // History management
+    // History management (goBack/goForward manage the stacks themselves)
     if (!isBackAction && currUrl !== "" && currUrl !== url) {
-        historyStack.push(currUrl);
-        // Limit history size to prevent memory issues
-        if (historyStack.length > MAX_HISTORY) {
-            historyStack.shift();
-        }
+        pushSessionEntry(historyStack, captureSessionEntry());
+        forwardStack = [];
     }
 
     try {
-        // Handle common redirect wrappers (e.g., DuckDuckGo result links with uddg=)
-        try {
-            const parsedTemp = new URL(url);
-            if (parsedTemp.hostname.includes('duckduckgo.com') && parsedTemp.pathname.startsWith('/l/')) {
-                const p = new URLSearchParams(parsedTemp.search);
-                const uddg = p.get('uddg');
-                if (uddg) {
-                    try {
-                        const decodedUrl = decodeURIComponent(uddg);
-                        // Validate decoded URL to prevent javascript: or data: URI attacks
-                        const parsed = new URL(decodedUrl);
-                        const allowedProtocols = ['http:', 'https:', 'mailto:', 'ftp:'];
-                        if (allowedProtocols.includes(parsed.protocol)) {
-                            url = decodedUrl;
-                        }
-                        // If protocol is not allowed, ignore the uddg param and use original URL
-                    } catch (e) {
-                        // If decoding or parsing fails, ignore uddg param
-                    }
-                }
-            }
-        } catch (e) {
-            // ignore URL parsing errors
-        }
+        // Handle search engine redirect wrappers (e.g., DuckDuckGo result links with uddg=)
+        url = unwrapSearchRedirect(url);
 
-        const xhr = new XMLHttpRequest({ mozSystem: true });
-        xhr.open('GET', url, true);
-        xhr.timeout = REQUEST_TIMEOUT;
+        // HTTP(S) via systemXHR; gemini:// and gopher:// over raw sockets
+        const response = isSmallWebUrl(url) ? await fetchSmallWeb(url) : await fetchHttp(url, options);
 
-        const htmlString = await new Promise((resolve, reject) => {
-            xhr.onload = () => (xhr.status >= 200 && xhr.status < 300) ? resolve(xhr.responseText) : reject();
-            xhr.onerror = () => reject();
-            xhr.ontimeout = () => reject();
-            xhr.send();
-        });
+        // Follow redirects so relative links resolve against the final page
+        url = response.url;
+        const contentType = response.contentType;
 
-        // If the response is not HTML (images, PDFs, etc.), do not open externally.
+        const decoded = response.inputPrompt ? { text: '', encoding: '' } : decodeResponse(response.bytes, contentType, url);
+        // Non-HTML types with no renderer (images, PDFs, etc.) are not opened externally.
         // Instead, show a helpful message — external opening is disabled for security.
-        try {
-            const ct = xhr.getResponseHeader && xhr.getResponseHeader('Content-Type');
-            if (ct && !ct.toLowerCase().includes('html') && !ct.toLowerCase().startsWith('text/')) {
-                showNotification('This content type cannot be rendered in-app.', true);
-                isLoading = false;
-                if (loader) loader.classList.add('hidden');
-                return;
-            }
-        } catch (e) {
-            // ignore header read errors and continue
+        const contentKind = response.inputPrompt ? 'input' : getContentKind(contentType, url, decoded.text);
+        if (!contentKind) {
+            showNotification('This content type cannot be rendered in-app.', true);
+            isLoading = false;
+            if (loader) loader.classList.add('hidden');
+            return false;
         }
 
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(htmlString, 'text/html');
+        const doc = contentKind === 'input' ? renderInputRequest(response.inputPrompt, url) : renderContent(contentKind, decoded.text, url);
+        const pageTitle = (doc.title || '').trim().replace(/\s+/g, ' ');
 
-        // Comprehensive Scraper Targeting
-        const source = doc.querySelector('article, main, [role="main"], #content, .content, .post, .results, #links') || doc.body;
+        // Remember an advertised OpenSearch engine so it can be added from the menu
+        currentOpenSearchUrl = '';
+        const osLink = doc.querySelector('link[rel~="search"][type="application/opensearchdescription+xml"][href]');
+        if (osLink) {
+            try {
+                const osUrl = new URL(osLink.getAttribute('href'), url);
+                if (osUrl.protocol === 'http:' || osUrl.protocol === 'https:') currentOpenSearchUrl = osUrl.href;
+            } catch (e) { }
+        }
+
+        // Feeds the user can subscribe to: the page itself when it is one, else its <link rel="alternate">s
+        currentFeedLinks = contentKind === 'feed' ? [{ url, title: pageTitle }] : findFeedLinks(doc, url);
+        currentNextPageUrl = contentKind === 'html' ? findNextPageUrl(doc, url) : '';
+
+        // Comprehensive Scraper Targeting: scored main content in reader mode, whole body in full page mode
+        doc.querySelectorAll('script, style, noscript').forEach(el => el.remove());
+        // Element-hiding filters run first so banners and ad boxes never sway extraction
+        if (contentKind === 'html') applyCosmeticFilters(doc.body, url);
+        let source = doc.body;
+        if (contentKind === 'html' && getExtractionMode(url) !== 'full') {
+            source = extractMainContent(doc) ||
+                doc.querySelector('article, main, [role="main"], #content, .content, .post, .results, #links') ||
+                doc.body;
+        }
+
+        // Swap images for focusable placeholders unless images are off
+        if (getImageMode(url) !== 'off') renderImagePlaceholders(source, url);
 
         // Strip non-essential elements
-        const junk = source.querySelectorAll('script, style, iframe, ads, nav, footer, img, video, svg, input, button, form, noscript, canvas, object');
-        junk.forEach(el => el.remove());
+        source.querySelectorAll(READER_JUNK_SELECTOR).forEach(el => el.remove());
 
-        // Process all remaining elements for accessibility and navigation
-        const allElements = source.querySelectorAll('*');
-        const allowedProtocols = ['http:', 'https:', 'mailto:', 'ftp:'];
-        allElements.forEach(el => {
-            // Remove inline styles and event handlers
-            el.removeAttribute('style');
-            // Remove any inline event handlers (onclick, onerror, etc.)
-            Array.from(el.attributes).forEach(attr => {
-                if (/^on/i.test(attr.name)) {
-                    el.removeAttribute(attr.name);
-                }
-            });
+        // Rebuild forms as inert, sanitized field groups (submitted by submitForm)
+        sanitizeForms(source, url);
 
-            if (el.tagName === 'A') {
-                const href = el.getAttribute('href');
-                if (href) {
-                    try {
-                        const resolved = new URL(href, url);
-                        // Only allow http/https/mailto/ftp schemes
-                        if (allowedProtocols.includes(resolved.protocol)) {
-                            el.setAttribute('href', resolved.href);
-                        } else {
-                            // Strip dangerous or unsupported protocols
-                            el.removeAttribute('href');
-                        }
-                    } catch (e) {
-                        // If URL is invalid, remove href to avoid javascript: or other bad schemes
-                        el.removeAttribute('href');
-                    }
-                }
-                // Make links keyboard-focusable and mark for in-app handling
-                el.classList.add('kai-link');
-                el.setAttribute('tabindex', '0'); // Essential for D-Pad focus
-                // Remove target to prevent opening external windows
-                el.removeAttribute('target');
-                el.setAttribute('rel', 'noreferrer');
-            }
-        });
+        // Fit wide tables and deep lists onto a 240px screen
+        reflowTables(source, getTableMode());
+        flattenNestedLists(source);
+
+        // Process all remaining elements for accessibility and navigation
+        sanitizeElements(source, url);
 
         const reader = document.getElementById('reader');
         // Clear existing content
@@ -189,270 +202,4987 @@ async function loadPage(url, isBackAction = false) {
         }
 
         currUrl = url;
+        currentEncoding = decoded.encoding;
+        applySiteAppearance(url);
+        currTitle = pageTitle;
         document.getElementById('url-input').value = url;
         setSafeLocalStorage('lastVisitedUrl', url);
+        recordHistoryVisit(url, pageTitle);
+        if (options.restore) restoreSessionPosition(options.restore);
+        else if (url.includes('#')) scrollToFragment(url.slice(url.indexOf('#') + 1));
+        saveSession();
+        if (getImageMode(url) === 'auto') autoLoadImages(imageLoadGeneration);
+        // Ask straight away; the page keeps an "Enter response" link for later
+        if (contentKind === 'input') setTimeout(() => promptForInput(response.inputPrompt, url), 0);
+        loaded = true;
 
     } catch (e) {
-        showError('Failed to load page. Site may be blocking access or you may be offline.');
+        showError((e && e.displayMessage) || 'Failed to load page. Site may be blocking access or you may be offline.');
+        // The saved copy may be stored under the address we asked for or the one we were redirected to
+        offerSavedCopy([url, e && e.responseUrl, requestedUrl]);
     } finally {
         isLoading = false;
         if (loader) loader.classList.add('hidden');
         document.getElementById('reader').focus();
         updateSoftkeyLabels();
+        // Open a link shared by another app during this load now that it is done
+        if (queuedActivity) {
+            const activity = queuedActivity;
+            queuedActivity = null;
+            setTimeout(() => handleViewActivity(activity), 0);
+        }
     }
+    return loaded;
 }
 
-// --- ERROR DISPLAY FUNCTION ---
-function showError(message) {
-    const reader = document.getElementById('reader');
-    reader.innerHTML = `
-        <div style="padding: 20px; text-align: center; color: #ff6000;">
-            <p style="font-size: 18px; margin-bottom: 15px;"><b>⚠ Error</b></p>
-            <p style="font-size: 14px; line-height: 1.6;">${escapeHtml(message)}</p>
-            <p style="font-size: 12px; color: #aaa; margin-top: 20px;">Press BACK to go back</p>
-        </div>
-    `;
+async function fetchHttp(url, options = {}) {
+    const method = options.method === 'POST' ? 'POST' : 'GET';
+    const xhr = new XMLHttpRequest({ mozSystem: true });
+    xhr.open(method, url, true);
+    xhr.timeout = REQUEST_TIMEOUT;
+    // Raw bytes, so pages in legacy encodings can be decoded by decodeResponse
+    xhr.responseType = 'arraybuffer';
+    if (method === 'POST') {
+        xhr.setRequestHeader('Content-Type', 'application/x-www-form-urlencoded');
+    }
+    applyRequestHeaders(xhr, url);
+
+    const bytes = await new Promise((resolve, reject) => {
+        // Failures carry the redirected address the request had reached, if any
+        const fail = () => {
+            const error = new Error('Request failed' + (xhr.status ? ' with status ' + xhr.status : ''));
+            error.responseUrl = xhr.responseURL || '';
+            reject(error);
+        };
+        xhr.onload = () => {
+            storeResponseCookies(xhr, xhr.responseURL || url);
+            (xhr.status >= 200 && xhr.status < 300) ? resolve(xhr.response) : fail();
+        };
+        xhr.onerror = fail;
+        xhr.ontimeout = fail;
+        xhr.send(method === 'POST' ? (options.body || '') : null);
+    });
+
+    let contentType = '';
+    try {
+        contentType = xhr.getResponseHeader('Content-Type') || '';
+    } catch (e) {
+        // ignore header read errors and treat the response as HTML
+    }
+    return { bytes, contentType, url: xhr.responseURL || url };
 }
 
-// --- WELCOME SCREEN ---
-function showWelcome() {
-    const reader = document.getElementById('reader');
-    reader.innerHTML = `
-        <div style="padding: 20px 20px; text-align: center;">
-            <p style="font-size: 24px; margin-bottom: 5px;"><b>Violoncello</b></p>
-            <p style="font-size: 16px; line-height: 1.6; margin-bottom: 30px; color: #999;">
-                Text Browser
-            </p>
-            <p style="font-size: 18px; margin-bottom: 5px; font-weight: bold;">
-                Get Started
-            </p>
-            <p style="font-size: 14px; color: #aaa; line-height: 1.6;">
-                Press <b>Left Key</b> to enter a URL<br>or search the web.
-            </p>
-            <p style="font-size: 12px; color: #666; margin-top: 10px; line-height: 1.4;">
-                Navigate with D-Pad arrows<br>
-                Scroll with Volume buttons<br>
-                Press Right Key for menu
-            </p>
-        </div>
-    `;
-    currUrl = '';
+// --- REQUEST IDENTITY & COOKIES ---
+// The user agent and Accept-Language are global settings (the user agent can also be set per site).
+// Cookies live in our own jar under 'cookieJar' because systemXHR requests are anonymous:
+// [{ name, value, domain, hostOnly, path, expires, secure, created }], expires null for session cookies,
+// which are dropped when the app starts.
+const USER_AGENTS = {
+    kaios: '', // Whatever the platform sends
+    mobile: 'Mozilla/5.0 (Linux; Android 13; Pixel 7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36',
+    desktop: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0',
+    lynx: 'Lynx/2.9.0 libwww-FM/2.14 SSL-MM/1.4.1 OpenSSL/3.0.2'
+};
+const MAX_COOKIES = 300; // Oldest cookies are dropped beyond this (localStorage quota)
+// No full public suffix list fits here: these and "co.uk"-style ccTLD second levels cover the common cases
+const PUBLIC_SUFFIXES = ['github.io', 'gitlab.io', 'blogspot.com', 'appspot.com', 'herokuapp.com', 'netlify.app', 'vercel.app', 'pages.dev', 'workers.dev', 'web.app', 'firebaseapp.com', 'neocities.org', 'wordpress.com', 'tumblr.com'];
+
+function getUserAgentId(url = '') {
+    const siteAgent = url ? getSiteSettings(url).userAgent : '';
+    if (siteAgent && siteAgent in USER_AGENTS) return siteAgent;
+    const agent = getSafeLocalStorage('userAgent', 'kaios');
+    return agent in USER_AGENTS ? agent : 'kaios';
 }
 
-// --- LINK SELECTION HELPERS ---
-function clearLinkSelection() {
-    const prev = document.querySelector('#reader a.kai-link.link-selected');
-    if (prev) {
-        prev.classList.remove('link-selected');
-        try { prev.blur(); } catch (e) { }
-    }
-    selectedLinkIndex = -1;
-    updateSoftkeyLabels();
+function areCookiesEnabled() {
+    return getSafeLocalStorage('cookiesEnabled', 'true') === 'true';
 }
 
-function selectLink(index) {
-    const links = getSortedLinks();
-    if (!links || links.length === 0) return;
-    index = ((index % links.length) + links.length) % links.length;
-    clearLinkSelection();
-    const link = links[index];
-    if (!link) return;
-    link.classList.add('link-selected');
-    try { link.focus(); } catch (e) { }
+// User agent, Accept-Language, the site's custom headers, then stored cookies
+function applyRequestHeaders(xhr, url) {
+    const headers = [];
+    const userAgent = USER_AGENTS[getUserAgentId(url)];
+    if (userAgent) headers.push({ name: 'User-Agent', value: userAgent });
+    const language = getSafeLocalStorage('acceptLanguage', '');
+    if (language) headers.push({ name: 'Accept-Language', value: language });
+    headers.push(...getSiteHeaders(url));
+    const cookies = areCookiesEnabled() ? getCookieHeader(url) : '';
+    if (cookies) headers.push({ name: 'Cookie', value: cookies });
+
+    headers.forEach(header => {
+        try {
+            xhr.setRequestHeader(header.name, header.value);
+        } catch (e) {
+            console.warn('Header not allowed:', header.name);
+        }
+    });
+}
+
+function loadCookieJar() {
     try {
-        // Scroll within the reader container to keep link visible without moving page under fixed UI
-        const reader = document.getElementById('reader');
-        if (reader) {
-            // Use offsetTop to get position relative to scrollable content (not viewport)
-            let el = link;
-            let top = 0;
-            while (el && el !== reader) {
-                top += el.offsetTop;
-                el = el.offsetParent;
+        const jar = JSON.parse(getSafeLocalStorage('cookieJar', "[]"));
+        const now = Date.now();
+        return Array.isArray(jar) ? jar.filter(cookie => cookie && cookie.name && (!cookie.expires || cookie.expires > now)) : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+function saveCookieJar(jar) {
+    return setSafeLocalStorage('cookieJar', JSON.stringify(jar.slice(-MAX_COOKIES)));
+}
+
+function domainMatches(host, domain) {
+    return host === domain || host.endsWith('.' + domain);
+}
+
+// Domains shared by unrelated sites, which no cookie may cover
+function isPublicSuffix(domain) {
+    return !domain.includes('.') || PUBLIC_SUFFIXES.includes(domain) ||
+        /^(co|com|net|org|gov|edu|ac|ne|or|go|gob|nic|mil|ltd|plc|sch)\.[a-z]{2}$/.test(domain);
+}
+
+// Session cookies end with the app, as they would when a browser quits
+function dropSessionCookies() {
+    const jar = loadCookieJar();
+    const kept = jar.filter(cookie => cookie.expires);
+    if (kept.length !== jar.length) saveCookieJar(kept);
+}
+
+// XHR joins repeated Set-Cookie headers with ", " - split only where a new name=value starts
+function splitSetCookieHeader(header) {
+    return header.split(/\n|,(?=\s*[^;,=\s]+=)/).map(part => part.trim()).filter(Boolean);
+}
+
+function parseSetCookie(line, url) {
+    const parsed = new URL(url);
+    const host = parsed.hostname.toLowerCase();
+    const [pair, ...attributes] = line.split(';');
+    const separator = pair.indexOf('=');
+    if (separator < 1) return null;
+
+    const cookie = {
+        name: pair.slice(0, separator).trim(),
+        value: pair.slice(separator + 1).trim(),
+        domain: host,
+        hostOnly: true,
+        // Default path: the request path up to its last "/"
+        path: parsed.pathname.lastIndexOf('/') > 0 ? parsed.pathname.slice(0, parsed.pathname.lastIndexOf('/')) : '/',
+        expires: null,
+        secure: false,
+        created: Date.now()
+    };
+
+    for (const attribute of attributes) {
+        const eq = attribute.indexOf('=');
+        const key = (eq === -1 ? attribute : attribute.slice(0, eq)).trim().toLowerCase();
+        const value = eq === -1 ? '' : attribute.slice(eq + 1).trim();
+        if (key === 'max-age' && /^-?\d+$/.test(value)) {
+            cookie.expires = Date.now() + parseInt(value, 10) * 1000;
+            cookie.maxAge = true;
+        } else if (key === 'expires' && !cookie.maxAge) {
+            const time = Date.parse(value);
+            if (!isNaN(time)) cookie.expires = time;
+        } else if (key === 'domain' && value) {
+            const domain = value.replace(/^\./, '').toLowerCase();
+            // Must cover the request host and not be a public suffix; a public suffix
+            // that is the host itself leaves the cookie host-only
+            if (!domainMatches(host, domain)) return null;
+            if (isPublicSuffix(domain)) {
+                if (domain !== host) return null;
+                continue;
             }
-            // Center link in viewport with padding at top
-            const targetScroll = Math.max(0, top - (reader.clientHeight / 3));
-            const maxScroll = reader.scrollHeight - reader.clientHeight;
-            reader.scrollTop = Math.min(targetScroll, maxScroll);
-        } else {
-            link.scrollIntoView({ block: 'nearest' });
+            cookie.domain = domain;
+            cookie.hostOnly = false;
+        } else if (key === 'path' && value.startsWith('/')) {
+            cookie.path = value;
+        } else if (key === 'secure') {
+            cookie.secure = true;
         }
-    } catch (e) {
-        try { link.scrollIntoView(false); } catch (err) { }
     }
-    selectedLinkIndex = index;
-    updateSoftkeyLabels();
+    delete cookie.maxAge;
+    return cookie;
 }
 
-function setupLinkInteractions() {
-    clearLinkSelection();
-    // Normalize all anchors inside the reader: ensure they have the kai-link class
-    // and are keyboard-focusable. This guards against pages where class addition
-    // may have failed during sanitization or parsing.
-    const anchors = Array.from(document.querySelectorAll('#reader a'));
-    anchors.forEach((l) => {
-        if (!l.classList.contains('kai-link')) l.classList.add('kai-link');
-        l.setAttribute('tabindex', '0');
+// Remember the cookies a response set. Cookies set by intermediate redirects are not visible to XHR.
+function storeResponseCookies(xhr, url) {
+    if (!areCookiesEnabled()) return;
+    let header = '';
+    try {
+        header = xhr.getResponseHeader('Set-Cookie') || '';
+    } catch (e) {
+        return;
+    }
+    if (!header) return;
+
+    let jar = loadCookieJar();
+    splitSetCookieHeader(header).forEach(line => {
+        let cookie;
+        try {
+            cookie = parseSetCookie(line, url);
+        } catch (e) {
+            return;
+        }
+        if (!cookie) return;
+        const same = (other) => other.name === cookie.name && other.domain === cookie.domain && other.path === cookie.path;
+        const previous = jar.find(same);
+        if (previous) cookie.created = previous.created;
+        jar = jar.filter(other => !same(other));
+        // An expiry in the past is how servers delete a cookie
+        if (cookie.expires === null || cookie.expires > Date.now()) jar.push(cookie);
     });
+    saveCookieJar(jar);
 }
 
-function getSortedLinks() {
-    const links = Array.from(document.querySelectorAll('#reader a.kai-link'));
-    // Map to rects and sort top->left for consistent D-Pad navigation
-    const mapped = links.map(l => {
-        const r = l.getBoundingClientRect ? l.getBoundingClientRect() : { top: 0, left: 0 };
-        return { el: l, top: Math.round(r.top), left: Math.round(r.left) };
+function getCookieHeader(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        return '';
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return '';
+    const host = parsed.hostname.toLowerCase();
+    const path = parsed.pathname || '/';
+
+    return loadCookieJar()
+        .filter(cookie => (cookie.hostOnly ? host === cookie.domain : domainMatches(host, cookie.domain)) &&
+            (path === cookie.path || path.startsWith(cookie.path.endsWith('/') ? cookie.path : cookie.path + '/')) &&
+            (!cookie.secure || parsed.protocol === 'https:'))
+        // Longer (more specific) paths first, as browsers send them
+        .sort((a, b) => (b.path.length - a.path.length) || (a.created - b.created))
+        .map(cookie => `${cookie.name}=${cookie.value}`)
+        .join('; ');
+}
+
+function clearCookies(domain) {
+    saveCookieJar(domain ? loadCookieJar().filter(cookie => cookie.domain !== domain) : []);
+}
+
+function showRequestSettings(focusSelector = null) {
+    const menu = document.getElementById('option-menu');
+    const language = getSafeLocalStorage('acceptLanguage', '');
+    let html = '<div class="menu-item" tabindex="0" data-action="main-menu">← Back to Main Menu</div>';
+    html += `<div class="menu-item" tabindex="0" data-action="cycle-user-agent">User Agent: ${getUserAgentId().toUpperCase()}</div>`;
+    html += `<div class="menu-item" tabindex="0" data-action="set-accept-language">Language: ${language ? escapeHtml(language) : 'DEFAULT'}</div>`;
+    html += `<div class="menu-item" tabindex="0" data-action="toggle-cookies">Cookies: ${areCookiesEnabled() ? 'ON' : 'OFF'}</div>`;
+    html += '<div class="menu-item" tabindex="0" data-action="view-cookies">Manage Cookies</div>';
+    menu.innerHTML = html;
+    focusMenuItem(focusSelector);
+}
+
+function showCookies() {
+    const menu = document.getElementById('option-menu');
+    const counts = {};
+    loadCookieJar().forEach(cookie => {
+        counts[cookie.domain] = (counts[cookie.domain] || 0) + 1;
     });
+    let currentHost = '';
+    try {
+        currentHost = currUrl ? new URL(currUrl).hostname : '';
+    } catch (e) { }
+    // Domains the current page can see come first
+    const domains = Object.keys(counts).sort((a, b) =>
+        (domainMatches(currentHost, b) - domainMatches(currentHost, a)) || a.localeCompare(b));
 
-    // If getBoundingClientRect returned identical values (e.g., in non-layout environments),
-    // fall back to data attributes `data-top` and `data-left` when present.
-    const allZeroTop = mapped.every(m => m.top === 0);
-    if (allZeroTop) {
-        const fallback = links.map(l => {
-            const t = parseInt(l.getAttribute('data-top') || l.dataset.top || '0', 10) || 0;
-            const left = parseInt(l.getAttribute('data-left') || l.dataset.left || '0', 10) || 0;
-            return { el: l, top: t, left };
+    let html = '<div class="menu-item" tabindex="0" data-action="request-settings">← Back to Request Settings</div>';
+    if (domains.length === 0) {
+        html += '<div class="menu-item" tabindex="0" data-action="request-settings" style="opacity:0.6;">No cookies stored.</div>';
+    } else {
+        domains.forEach(domain => {
+            const mark = domainMatches(currentHost, domain) ? ' (this site)' : '';
+            html += `<div class="menu-item menu-delete" tabindex="0" data-action="clear-cookies" data-domain="${escapeHtml(domain)}">[Clear] ${escapeHtml(domain)}${mark}<br><small>${counts[domain]} cookie${counts[domain] === 1 ? '' : 's'}</small></div>`;
         });
-        fallback.sort((a, b) => (a.top - b.top) || (a.left - b.left));
-        return fallback.map(f => f.el);
+        html += '<div class="menu-item menu-delete" tabindex="0" data-action="clear-cookies" data-domain="">[Clear All Cookies]</div>';
     }
+    menu.innerHTML = html;
+    focusMenuItem(domains.length ? '[data-action="clear-cookies"]' : null);
+}
 
-    mapped.sort((a, b) => (a.top - b.top) || (a.left - b.left));
-    return mapped.map(m => m.el);
+// --- PAGE SANITIZING ---
+const READER_JUNK_SELECTOR = 'script, style, iframe, nav, footer, img, video, svg, noscript, canvas, object';
+const ALLOWED_LINK_PROTOCOLS = ['http:', 'https:', 'mailto:', 'ftp:', 'gemini:', 'gopher:'];
+
+// Absolute form of `href`. gemini:// and gopher:// are resolved as if they were https:// so
+// relative links work even where the URL parser treats unknown schemes as opaque.
+function resolveUrl(href, baseUrl) {
+    const schemePattern = /^([a-z][a-z0-9+.-]*):/i;
+    const hrefScheme = schemePattern.exec(href);
+    const baseScheme = schemePattern.exec(baseUrl || '');
+    const scheme = (hrefScheme || baseScheme || ['', ''])[1].toLowerCase();
+    if (scheme !== 'gemini' && scheme !== 'gopher') return new URL(href, baseUrl).href;
+    // Gopher selectors are opaque; an absolute gopher:// link must not be normalized
+    if (hrefScheme && scheme === 'gopher') return href;
+
+    const asHttps = value => value.replace(schemePattern, 'https:');
+    const resolved = hrefScheme ? new URL(asHttps(href)) : new URL(href, asHttps(baseUrl));
+    return scheme + ':' + resolved.href.slice('https:'.length);
 }
 
-// --- HELPERS: Nearest link selection relative to reader viewport ---
-function findNearestLinkIndex(direction, linksParam) {
-    // Use provided links array if available to avoid double-sorting on DOM changes
-    const links = linksParam || getSortedLinks();
-    if (!links || links.length === 0) return -1;
-    const reader = document.getElementById('reader');
-    if (!reader) return 0;
-    const readerRect = reader.getBoundingClientRect();
-    const viewportCenter = readerRect.top + (reader.clientHeight / 2);
+// Strip inline styles and handlers, and make links safe, absolute and D-Pad focusable
+function sanitizeElements(source, baseUrl) {
+    source.querySelectorAll('*').forEach(el => {
+        // Remove inline styles and event handlers
+        el.removeAttribute('style');
+        // Remove any inline event handlers (onclick, onerror, etc.)
+        Array.from(el.attributes).forEach(attr => {
+            if (/^on/i.test(attr.name)) {
+                el.removeAttribute(attr.name);
+            }
+        });
 
-    let bestIndex = -1;
-    let bestScore = Infinity;
-    for (let i = 0; i < links.length; i++) {
-        const r = links[i].getBoundingClientRect();
-        const linkCenter = r.top + (r.height / 2);
-        const delta = linkCenter - viewportCenter;
-        // Prefer links in the requested direction; give them better score
-        let score = Math.abs(delta);
-        if (direction === 'down' && delta >= 0) score *= 0.5;
-        if (direction === 'up' && delta <= 0) score *= 0.5;
-        if (score < bestScore) {
-            bestScore = score;
-            bestIndex = i;
+        if (el.tagName === 'A') {
+            const href = el.getAttribute('href');
+            if (href) {
+                try {
+                    const resolved = resolveUrl(href, baseUrl);
+                    // Only allow http/https/mailto/ftp/gemini/gopher schemes
+                    if (ALLOWED_LINK_PROTOCOLS.includes(resolved.slice(0, resolved.indexOf(':') + 1).toLowerCase())) {
+                        el.setAttribute('href', resolved);
+                    } else {
+                        // Strip dangerous or unsupported protocols
+                        el.removeAttribute('href');
+                    }
+                } catch (e) {
+                    // If URL is invalid, remove href to avoid javascript: or other bad schemes
+                    el.removeAttribute('href');
+                }
+            }
+            // Make links keyboard-focusable and mark for in-app handling
+            el.classList.add('kai-link');
+            el.setAttribute('tabindex', '0'); // Essential for D-Pad focus
+            // Remove target to prevent opening external windows
+            el.removeAttribute('target');
+            el.setAttribute('rel', 'noreferrer');
         }
+    });
+}
+
+// --- CONTENT BLOCKING ---
+// EasyList/uBlock-style rules: "##sel" hides everywhere, "a.com,~b.a.com##sel" per site,
+// "a.com#@#sel" re-allows, "||tracker.com^" blocks links to that domain. Other network rules are ignored.
+// The user's own rules are kept under 'userFilters' as an array of rule lines.
+const BUILTIN_FILTERS = [
+    '! Ads',
+    '##.ad', '##.ads', '##.advert', '##.advertisement', '##.ad-container', '##.ad-slot', '##.adsbygoogle',
+    '##[id^="div-gpt-ad"]', '##[class*="sponsored-"]', '##.sponsor', '##.taboola', '##.OUTBRAIN',
+    '! Cookie and consent banners',
+    '##.cookie-banner', '##.cookie-notice', '##.cookie-consent', '###cookie-banner', '###cookie-notice',
+    '##.cc-window', '##.gdpr', '###onetrust-consent-sdk', '##.qc-cmp2-container', '##.fc-consent-root',
+    '! Newsletter, sharing and related boxes',
+    '##.newsletter', '##.newsletter-signup', '##.subscribe-box', '##.social-share', '##.share-buttons',
+    '##.sharedaddy', '##.related-posts', '##.related-articles', '##.jp-relatedposts', '##.yarpp-related',
+    '##.popup', '##.modal-overlay', '##.paywall-prompt',
+    '! Site specific',
+    'wikipedia.org##.mw-editsection', 'wikipedia.org##.navbox', 'wikipedia.org##.mw-jump-link',
+    'stackoverflow.com##.js-consent-banner',
+    '! Tracker domains',
+    '||doubleclick.net^', '||googleadservices.com^', '||googlesyndication.com^', '||google-analytics.com^',
+    '||adnxs.com^', '||criteo.com^', '||scorecardresearch.com^', '||taboola.com^', '||outbrain.com^',
+    '||quantserve.com^', '||adform.net^', '||moatads.com^'
+];
+// Classes this app puts on reader elements; never offered in "hide this block" rules
+const READER_OWN_CLASS_PATTERN = /^(kai-|link-|find-|json-|table-|flat-|gopher-|gemini-|feed-|image-|reader-|plain-|input-|textarea-|offline-|hidden$)/;
+
+function isContentBlockingEnabled() {
+    return getSafeLocalStorage('contentBlocking', 'true') === 'true';
+}
+
+function getUserFilters() {
+    try {
+        const filters = JSON.parse(getSafeLocalStorage('userFilters', "[]"));
+        return Array.isArray(filters) ? filters.filter(line => typeof line === 'string') : [];
+    } catch (e) {
+        return [];
     }
-    return bestIndex;
 }
 
-// --- HTML ESCAPE FOR SECURITY ---
-function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+function saveUserFilters(filters) {
+    return setSafeLocalStorage('userFilters', JSON.stringify(filters));
 }
 
-// --- SEARCH & URL OVERLAY ---
-function handleUrlSubmit() {
-    let input = document.getElementById('url-input').value.trim();
-    if (!input) return;
+// One rule line -> { type: 'hide' | 'allow' | 'tracker', ... }, or null for comments and unsupported rules
+function parseFilterRule(line) {
+    line = line.trim();
+    if (!line || line.startsWith('!') || line.startsWith('[')) return null;
 
-    let url;
-    if (!input.includes(".") || input.includes(" ")) {
-        // Search query
-        url = `https://duckduckgo.com/html/?q=${encodeURIComponent(input)}`;
-    } else {
-        // URL input
-        try {
-            // Test if it's a valid URL
-            new URL(input.startsWith('http') ? input : 'https://' + input);
-            url = input.startsWith('http') ? input : 'https://' + input;
-        } catch (e) {
-            showError('Invalid URL format. Please enter a valid website address.');
-            return;
-        }
-    }
+    const tracker = /^\|\|([a-z0-9.-]+)\^?(\$.*)?$/i.exec(line);
+    if (tracker) return { type: 'tracker', domain: tracker[1].toLowerCase() };
 
-    toggleUrlBar();
-    loadPage(url);
+    const match = /^([^#]*)#(@?)#(.+)$/.exec(line);
+    if (!match) return null;
+    const domains = match[1].split(',').map(d => d.trim().toLowerCase()).filter(Boolean);
+    return {
+        type: match[2] ? 'allow' : 'hide',
+        selector: match[3].trim(),
+        include: domains.filter(d => !d.startsWith('~')),
+        exclude: domains.filter(d => d.startsWith('~')).map(d => d.slice(1))
+    };
 }
 
-function toggleUrlBar() {
-    isUrlBarOpen = !isUrlBarOpen;
-    const overlay = document.getElementById('url-overlay');
+function getFilterRules() {
+    return BUILTIN_FILTERS.concat(getUserFilters()).map(parseFilterRule).filter(Boolean);
+}
+
+function ruleAppliesToHost(rule, host) {
+    if (rule.exclude.some(domain => domainMatches(host, domain))) return false;
+    return rule.include.length === 0 || rule.include.some(domain => domainMatches(host, domain));
+}
+
+// Selectors to hide on `url`, minus the ones an allow rule re-enables there
+function getCosmeticSelectors(url) {
+    let host = '';
+    try {
+        host = new URL(url).hostname.toLowerCase();
+    } catch (e) { }
+
+    const rules = getFilterRules().filter(rule => rule.type !== 'tracker' && ruleAppliesToHost(rule, host));
+    const allowed = new Set(rules.filter(rule => rule.type === 'allow').map(rule => rule.selector));
+    return Array.from(new Set(rules.filter(rule => rule.type === 'hide' && !allowed.has(rule.selector)).map(rule => rule.selector)));
+}
+
+// Remove everything the filters hide for `url` from `root`
+function applyCosmeticFilters(root, url) {
+    if (!isContentBlockingEnabled()) return;
+    getCosmeticSelectors(url).forEach(selector => {
+        try {
+            root.querySelectorAll(selector).forEach(el => el.remove());
+        } catch (e) {
+            // Procedural or unsupported selectors (e.g. :has-text) are skipped
+        }
+    });
+}
+
+// The tracker domain `url` belongs to, or '' when it is not blocked
+function getBlockedTracker(url) {
+    if (!isContentBlockingEnabled()) return '';
+    let host;
+    try {
+        host = new URL(url).hostname.toLowerCase();
+    } catch (e) {
+        return '';
+    }
+    const rule = getFilterRules().find(rule => rule.type === 'tracker' && domainMatches(host, rule.domain));
+    return rule ? rule.domain : '';
+}
+
+// Notify and return true when navigation to `url` is blocked
+function isNavigationBlocked(url) {
+    const tracker = getBlockedTracker(url);
+    if (tracker) showNotification('Blocked link to tracker ' + tracker, true);
+    return !!tracker;
+}
+
+// A "host##selector" rule for the nearest block around `el` that has an id or page classes
+function buildHideRule(el, url) {
+    let host;
+    try {
+        host = new URL(url).hostname.replace(/^www\./, '');
+    } catch (e) {
+        return '';
+    }
+    const isIdent = value => /^-?[A-Za-z_][\w-]*$/.test(value);
+    const reader = document.getElementById('reader');
+
+    for (let node = el.parentElement; node && node !== reader && reader.contains(node); node = node.parentElement) {
+        const id = node.getAttribute('id');
+        if (id && isIdent(id)) return `${host}###${id}`;
+        const classes = Array.from(node.classList).filter(name => isIdent(name) && !READER_OWN_CLASS_PATTERN.test(name));
+        if (classes.length) return `${host}##${node.tagName.toLowerCase()}.${classes.slice(0, 2).join('.')}`;
+    }
+    return '';
+}
+
+// A rule this engine understands, with a selector the browser accepts
+function isValidFilterRule(line) {
+    const rule = parseFilterRule(line);
+    if (!rule) return false;
+    if (rule.type === 'tracker') return true;
+    try {
+        document.createDocumentFragment().querySelector(rule.selector);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+function addUserFilter(line) {
+    const rule = parseFilterRule(line);
+    if (!rule || !isValidFilterRule(line)) {
+        showNotification(rule ? 'Invalid selector' : 'Use the form site.com##.selector or ||domain^', true);
+        return false;
+    }
+    const filters = getUserFilters();
+    if (!filters.includes(line)) filters.push(line);
+    saveUserFilters(filters);
+
+    // Hide the matches on the current page straight away
+    let host = '';
+    try {
+        host = new URL(currUrl).hostname.toLowerCase();
+    } catch (e) { }
+    if (rule.type === 'hide' && isContentBlockingEnabled() && ruleAppliesToHost(rule, host)) {
+        document.getElementById('reader').querySelectorAll(rule.selector).forEach(el => el.remove());
+    }
+    return true;
+}
+
+function showContentBlocking(focusSelector = null) {
+    const menu = document.getElementById('option-menu');
+    const filters = getUserFilters();
+    const builtinCount = BUILTIN_FILTERS.filter(line => parseFilterRule(line)).length;
+    let html = '<div class="menu-item" tabindex="0" data-action="main-menu">← Back to Main Menu</div>';
+    html += `<div class="menu-item" tabindex="0" data-action="toggle-content-blocking">Blocking: ${isContentBlockingEnabled() ? 'ON' : 'OFF'}</div>`;
+    html += '<div class="menu-item" tabindex="0" data-action="add-filter">Add Filter Rule</div>';
+    html += `<div class="menu-heading">Your rules (${filters.length})</div>`;
+    filters.forEach((line, index) => {
+        html += `<div class="menu-item menu-delete" tabindex="0" data-action="delete-filter" data-index="${index}">[Delete] ${escapeHtml(line)}</div>`;
+    });
+    html += `<div class="menu-heading">Built-in list: ${builtinCount} rules</div>`;
+    menu.innerHTML = html;
+    focusMenuItem(focusSelector);
+}
+
+// --- PER-SITE SETTINGS ---
+// Stored under 'siteSettings' as { [origin]: { textSize, colorMode, extraction, imageMode, encoding, userAgent, headers } };
+// only overridden fields are present and a site without overrides is dropped.
+const SITE_SETTING_FIELDS = ['textSize', 'colorMode', 'extraction', 'imageMode', 'encoding', 'userAgent', 'headers'];
+const TEXT_SIZES = ['xsmall', 'small', 'medium', 'large', 'xlarge'];
+
+// Origin a URL's settings are kept under; gemini:// and gopher:// have no origin of their own
+function getSiteKey(url) {
+    try {
+        if (isSmallWebUrl(url)) {
+            const target = parseSmallWebUrl(url);
+            return `${target.protocol}//${target.host}:${target.port}`;
+        }
+        const origin = new URL(url).origin;
+        return origin && origin !== 'null' ? origin : '';
+    } catch (e) {
+        return '';
+    }
+}
+
+function getAllSiteSettings() {
+    let all = {};
+    try {
+        const parsed = JSON.parse(getSafeLocalStorage('siteSettings', "{}"));
+        if (parsed && typeof parsed === 'object') all = parsed;
+    } catch (e) { }
+    return all;
+}
+
+function getSiteSettings(url) {
+    const key = getSiteKey(url);
+    const site = key ? getAllSiteSettings()[key] : null;
+    return site && typeof site === 'object' ? site : {};
+}
+
+// Set one override for the URL's site; '' or null goes back to the global default
+function setSiteSetting(url, field, value) {
+    const key = getSiteKey(url);
+    if (!key || !SITE_SETTING_FIELDS.includes(field)) return false;
+    const all = getAllSiteSettings();
+    const site = all[key] || {};
+    const isEmpty = value === '' || value === null || value === undefined || (Array.isArray(value) && value.length === 0);
+    if (isEmpty) delete site[field];
+    else site[field] = value;
+    if (Object.keys(site).length === 0) delete all[key];
+    else all[key] = site;
+    return setSafeLocalStorage('siteSettings', JSON.stringify(all));
+}
+
+function resetSiteSettings(key) {
+    const all = getAllSiteSettings();
+    if (key) delete all[key];
+    return setSafeLocalStorage('siteSettings', JSON.stringify(key ? all : {}));
+}
+
+// Text size and color mode for the page in the reader: the site's overrides, else the global choices
+function applySiteAppearance(url) {
+    const site = url ? getSiteSettings(url) : {};
+    const size = TEXT_SIZES.includes(site.textSize) ? site.textSize : currentSize;
+    document.getElementById('reader').className = 'text-' + size;
+    if (themeDraft) return; // The theme editor is previewing
+    applyColorMode(site.colorMode && getColorModes().includes(site.colorMode) ? site.colorMode : colorMode);
+}
+
+// Extra request headers for the site, as [{ name, value }]
+function getSiteHeaders(url) {
+    const headers = getSiteSettings(url).headers;
+    return Array.isArray(headers) ? headers.filter(header => header && isValidHeaderName(header.name)) : [];
+}
+
+function isValidSiteKey(key) {
+    return /^https?:\/\/[a-z0-9.-]+(:\d+)?$/i.test(key) || /^(gemini|gopher):\/\/[a-z0-9.-]+:\d+$/i.test(key);
+}
+
+// One site's overrides with unknown fields and values dropped; null when nothing is left
+function normalizeSiteSettings(site) {
+    if (!site || typeof site !== 'object') return null;
+    const normalized = {};
+    if (TEXT_SIZES.includes(site.textSize)) normalized.textSize = site.textSize;
+    if (isStorableColorMode(site.colorMode)) normalized.colorMode = site.colorMode;
+    if (site.extraction === 'full') normalized.extraction = 'full';
+    if (IMAGE_MODES.includes(site.imageMode)) normalized.imageMode = site.imageMode;
+    if (ENCODING_CHOICES.includes(site.encoding)) normalized.encoding = site.encoding;
+    if (typeof site.userAgent === 'string' && site.userAgent in USER_AGENTS) normalized.userAgent = site.userAgent;
+    if (Array.isArray(site.headers)) {
+        const headers = site.headers
+            .filter(header => header && isValidHeaderName(header.name) && typeof header.value === 'string' && !/[\r\n]/.test(header.value))
+            .map(header => ({ name: header.name, value: header.value }));
+        if (headers.length) normalized.headers = headers;
+    }
+    return Object.keys(normalized).length ? normalized : null;
+}
+
+function isValidHeaderName(name) {
+    return typeof name === 'string' && /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(name);
+}
+
+// Main menu label for a global setting, noting when the current site overrides it
+function getGlobalSettingLabel(label, field) {
+    const override = currUrl ? getSiteSettings(currUrl)[field] : '';
+    if (!override) return label;
+    return `${label} (SITE: ${field === 'colorMode' ? getColorModeLabel(override) : String(override).toUpperCase()})`;
+}
+
+function describeSiteSettings(site) {
+    const parts = [];
+    if (site.textSize) parts.push('size ' + site.textSize);
+    if (site.colorMode) parts.push(getColorModeLabel(site.colorMode).toLowerCase());
+    if (site.extraction) parts.push(site.extraction === 'full' ? 'full page' : 'reader');
+    if (site.imageMode) parts.push('images ' + site.imageMode);
+    if (site.encoding) parts.push(site.encoding);
+    if (site.userAgent) parts.push(site.userAgent + ' agent');
+    if (Array.isArray(site.headers) && site.headers.length) parts.push(site.headers.length + ' header' + (site.headers.length === 1 ? '' : 's'));
+    return parts.join(', ');
+}
+
+// Next value in [''].concat(values), where '' means "use the default"
+function cycleSiteValue(current, values) {
+    const options = [''].concat(values);
+    return options[(options.indexOf(current || '') + 1) % options.length];
+}
+
+function showSiteSettings(siteKey = null, focusSelector = null) {
+    const menu = document.getElementById('option-menu');
+    const key = siteKey || getSiteKey(currUrl);
+    if (!key) {
+        showAllSiteSettings();
+        return;
+    }
+    const site = getAllSiteSettings()[key] || {};
+    const isCurrent = key === getSiteKey(currUrl);
+    const label = (value, fallback) => value ? String(value).toUpperCase() : `DEFAULT (${fallback})`;
+    const headers = Array.isArray(site.headers) ? site.headers : [];
+    const data = `data-site="${escapeHtml(key)}"`;
+
+    let html = '<div class="menu-item" tabindex="0" data-action="main-menu">← Back to Main Menu</div>';
+    html += `<div class="menu-heading">${escapeHtml(key)}${isCurrent ? ' (this site)' : ''}</div>`;
+    html += `<div class="menu-item" tabindex="0" data-action="site-cycle" data-field="textSize" ${data}>Text Size: ${label(site.textSize, currentSize.toUpperCase())}</div>`;
+    html += `<div class="menu-item" tabindex="0" data-action="site-cycle" data-field="colorMode" ${data}>Color Mode: ${site.colorMode ? escapeHtml(getColorModeLabel(site.colorMode)) : `DEFAULT (${escapeHtml(getColorModeLabel(colorMode))})`}</div>`;
+    html += `<div class="menu-item" tabindex="0" data-action="site-cycle" data-field="extraction" ${data}>View: ${site.extraction === 'full' ? 'FULL PAGE' : label(site.extraction, 'READER')}</div>`;
+    html += `<div class="menu-item" tabindex="0" data-action="site-cycle" data-field="imageMode" ${data}>Images: ${label(site.imageMode, getImageMode().toUpperCase())}</div>`;
+    html += `<div class="menu-item" tabindex="0" data-action="site-cycle" data-field="encoding" ${data}>Text Encoding: ${label(site.encoding, 'AUTO')}</div>`;
+    html += `<div class="menu-item" tabindex="0" data-action="site-cycle" data-field="userAgent" ${data}>User Agent: ${label(site.userAgent, getUserAgentId().toUpperCase())}</div>`;
+    html += `<div class="menu-heading">Request headers</div>`;
+    headers.forEach((header, index) => {
+        html += `<div class="menu-item menu-delete" tabindex="0" data-action="site-remove-header" data-index="${index}" ${data}>[Remove] ${escapeHtml(header.name)}: ${escapeHtml(header.value)}</div>`;
+    });
+    html += `<div class="menu-item" tabindex="0" data-action="site-add-header" ${data}>+ Add Header</div>`;
+    if (Object.keys(site).length) {
+        html += `<div class="menu-item menu-delete" tabindex="0" data-action="site-reset" ${data}>[Reset This Site]</div>`;
+    }
+    html += '<div class="menu-item" tabindex="0" data-action="view-all-sites">All Configured Sites</div>';
+
+    menu.innerHTML = html;
+    focusMenuItem(focusSelector);
+}
+
+function showAllSiteSettings() {
+    const menu = document.getElementById('option-menu');
+    const all = getAllSiteSettings();
+    const keys = Object.keys(all).sort();
+
+    let html = '<div class="menu-item" tabindex="0" data-action="main-menu">← Back to Main Menu</div>';
+    if (keys.length === 0) {
+        html += '<div class="menu-item" tabindex="0" data-action="main-menu" style="opacity:0.6;">No sites have their own settings.</div>';
+    } else {
+        keys.forEach(key => {
+            html += `<div class="menu-item" tabindex="0" data-action="site-settings" data-site="${escapeHtml(key)}">${escapeHtml(key.replace(/^https:\/\//, ''))}<br><small>${escapeHtml(describeSiteSettings(all[key]))}</small></div>`;
+        });
+        html += '<div class="menu-item menu-delete" tabindex="0" data-action="site-reset-all">[Reset All Sites]</div>';
+    }
+
+    menu.innerHTML = html;
+    focusMenuItem(keys.length ? '[data-action="site-settings"]' : null);
+}
+
+// --- MAIN CONTENT EXTRACTION (READER MODE) ---
+// Scores paragraphs by text and comma counts, credits their ancestors, penalizes link-heavy
+// and boilerplate-looking blocks, then gathers the best candidate plus related siblings.
+const UNLIKELY_CANDIDATES = /-ad-|ai2html|banner|breadcrumbs|combx|comment|community|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|related|remark|replies|rss|shoutbox|sidebar|skyscraper|social|sponsor|supplemental|ad-break|agegate|pagination|pager|popup|yom-remote|newsletter|cookie/i;
+const MAYBE_CANDIDATE = /and|article|body|column|content|main|shadow/i;
+const POSITIVE_HINTS = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story/i;
+const NEGATIVE_HINTS = /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|foot|footer|footnote|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i;
+const UNLIKELY_ROLES = ['menu', 'menubar', 'complementary', 'navigation', 'alert', 'alertdialog', 'dialog'];
+const BLOCK_TAGS = /^(ADDRESS|ARTICLE|ASIDE|BLOCKQUOTE|DETAILS|DIV|DL|FIELDSET|FIGURE|FOOTER|FORM|H[1-6]|HEADER|HR|LI|MAIN|NAV|OL|P|PRE|SECTION|TABLE|UL)$/;
+const MIN_ARTICLE_LENGTH = 250;
+
+// 'reader' (scored main content) unless the site has been switched to 'full'
+function getExtractionMode(url) {
+    return getSiteSettings(url).extraction === 'full' ? 'full' : 'reader';
+}
+
+function setExtractionMode(url, mode) {
+    // reader is the default, no need to store it
+    return setSiteSetting(url, 'extraction', mode === 'reader' ? '' : mode);
+}
+
+function getTextLength(el) {
+    return (el.textContent || '').trim().replace(/\s+/g, ' ').length;
+}
+
+function getLinkDensity(el) {
+    const textLength = getTextLength(el);
+    if (textLength === 0) return 0;
+    let linkLength = 0;
+    el.querySelectorAll('a').forEach(a => { linkLength += getTextLength(a); });
+    return linkLength / textLength;
+}
+
+function getClassWeight(el) {
+    let weight = 0;
+    [el.className, el.id].forEach(value => {
+        if (typeof value !== 'string' || !value) return;
+        if (NEGATIVE_HINTS.test(value)) weight -= 25;
+        if (POSITIVE_HINTS.test(value)) weight += 25;
+    });
+    return weight;
+}
+
+function getInitialScore(el) {
+    let score = 0;
+    switch (el.tagName) {
+        case 'DIV': score = 5; break;
+        case 'PRE': case 'TD': case 'BLOCKQUOTE': score = 3; break;
+        case 'ADDRESS': case 'OL': case 'UL': case 'DL': case 'DD': case 'DT': case 'LI': case 'FORM': score = -3; break;
+        case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6': case 'TH': score = -5; break;
+    }
+    return score + getClassWeight(el);
+}
+
+function removeUnlikelyCandidates(root) {
+    Array.from(root.querySelectorAll('*')).forEach(el => {
+        if (!root.contains(el) || el.tagName === 'A' || el.tagName === 'BODY') return;
+        if (el.closest('table, pre, code')) return;
+        const match = (typeof el.className === 'string' ? el.className : '') + ' ' + (el.id || '');
+        const role = (el.getAttribute('role') || '').toLowerCase();
+        if ((UNLIKELY_CANDIDATES.test(match) && !MAYBE_CANDIDATE.test(match)) || UNLIKELY_ROLES.includes(role) ||
+            ['NAV', 'ASIDE', 'FOOTER'].includes(el.tagName)) {
+            el.remove();
+        }
+    });
+}
+
+// One scoring pass over a copy of the body; returns a container element or null
+function scoreAndCollect(doc, stripUnlikely) {
+    const root = doc.body.cloneNode(true);
+    if (stripUnlikely) removeUnlikelyCandidates(root);
+
+    const scores = new Map();
+    const addScore = (el, amount) => {
+        if (!el || el === root.parentNode || !el.tagName) return;
+        if (!scores.has(el)) scores.set(el, getInitialScore(el));
+        scores.set(el, scores.get(el) + amount);
+    };
+
+    // Paragraph-like elements: real paragraphs plus divs that only hold inline content
+    const paragraphs = Array.from(root.querySelectorAll('p, pre, td, blockquote, div')).filter(el =>
+        el.tagName !== 'DIV' || !Array.from(el.children).some(child => BLOCK_TAGS.test(child.tagName)));
+
+    paragraphs.forEach(el => {
+        const text = (el.textContent || '').trim();
+        if (text.length < 25) return;
+        const score = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+        let ancestor = el.parentNode;
+        for (let level = 0; level < 3 && ancestor && ancestor.tagName; level++) {
+            const divider = level === 0 ? 1 : (level === 1 ? 2 : level * 3);
+            addScore(ancestor, score / divider);
+            ancestor = ancestor.parentNode;
+        }
+    });
+
+    if (scores.size === 0) return null;
+
+    // Penalize link-heavy candidates (navigation blocks, link farms)
+    scores.forEach((score, el) => scores.set(el, score * (1 - getLinkDensity(el))));
+
+    const ranked = Array.from(scores.entries()).sort((a, b) => b[1] - a[1]);
+    let topCandidate = ranked[0][0];
+    let topScore = ranked[0][1];
+
+    // Several strong candidates under one ancestor mean the ancestor holds the article
+    const alternatives = ranked.slice(1, 5).filter(([, score]) => score / topScore >= 0.75).map(([el]) => el);
+    if (alternatives.length >= 2) {
+        let parent = topCandidate.parentNode;
+        while (parent && parent !== root) {
+            if (alternatives.filter(alt => parent.contains(alt)).length >= 2) {
+                topCandidate = parent;
+                break;
+            }
+            parent = parent.parentNode;
+        }
+    }
+
+    // Promote to a parent whose own score shows it holds more of the article
+    let lastScore = scores.get(topCandidate) || topScore;
+    const threshold = lastScore / 3;
+    let parent = topCandidate.parentNode;
+    while (parent && parent !== root && parent.tagName) {
+        if (!scores.has(parent)) {
+            parent = parent.parentNode;
+            continue;
+        }
+        const parentScore = scores.get(parent);
+        if (parentScore < threshold) break;
+        if (parentScore > lastScore) {
+            topCandidate = parent;
+            break;
+        }
+        lastScore = parentScore;
+        parent = parent.parentNode;
+    }
+    // A lone child carries no extra meaning; use the wrapper instead
+    while (topCandidate.parentNode && topCandidate.parentNode !== root && topCandidate.parentNode.children.length === 1) {
+        topCandidate = topCandidate.parentNode;
+    }
+    topScore = scores.get(topCandidate) || topScore;
+
+    // Gather siblings that look like part of the same article (intro paragraphs, split columns)
+    const container = doc.createElement('div');
+    const siblingThreshold = Math.max(10, topScore * 0.2);
+    const siblings = topCandidate.parentNode ? Array.from(topCandidate.parentNode.children) : [topCandidate];
+    siblings.forEach(sibling => {
+        let append = sibling === topCandidate;
+        if (!append) {
+            let bonus = 0;
+            if (sibling.className && sibling.className === topCandidate.className) bonus = topScore * 0.2;
+            if (scores.has(sibling) && scores.get(sibling) + bonus >= siblingThreshold) {
+                append = true;
+            } else if (sibling.tagName === 'P') {
+                const length = getTextLength(sibling);
+                const density = getLinkDensity(sibling);
+                if (length > 80 && density < 0.25) append = true;
+                else if (length > 0 && length <= 80 && density === 0 && /\.( |$)/.test(sibling.textContent)) append = true;
+            }
+        }
+        if (append) container.appendChild(sibling === topCandidate ? topCandidate : sibling);
+    });
+
+    if (getTextLength(container) < MIN_ARTICLE_LENGTH || getLinkDensity(container) > 0.5) return null;
+    return container;
+}
+
+// Returns an element holding the page's main content, or null to use the selector fallback
+function extractMainContent(doc) {
+    if (!doc.body) return null;
+    try {
+        return scoreAndCollect(doc, true) || scoreAndCollect(doc, false);
+    } catch (e) {
+        console.warn('Content extraction failed:', e);
+        return null;
+    }
+}
+
+// --- CHARACTER ENCODING ---
+// Offered in the "Text Encoding" menu; any label TextDecoder knows is accepted when detected
+const ENCODING_CHOICES = [
+    'utf-8', 'windows-1252', 'iso-8859-2', 'windows-1250', 'windows-1251', 'koi8-r',
+    'iso-8859-7', 'windows-1253', 'windows-1254', 'windows-1256', 'windows-1255',
+    'shift_jis', 'euc-jp', 'iso-2022-jp', 'gbk', 'gb18030', 'big5', 'euc-kr'
+];
+
+// Canonical TextDecoder name for a charset label, or '' if unsupported
+function normalizeEncoding(label) {
+    if (!label) return '';
+    try {
+        return new TextDecoder(label.trim().replace(/^["']|["']$/g, '')).encoding;
+    } catch (e) {
+        return '';
+    }
+}
+
+// Manual per-site encoding, '' for automatic detection
+function getEncodingOverride(url) {
+    return getSiteSettings(url).encoding || '';
+}
+
+function setEncodingOverride(url, encoding) {
+    return setSiteSetting(url, 'encoding', encoding);
+}
+
+function getBomEncoding(bytes) {
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+    return '';
+}
+
+// Look for <meta charset>, <meta http-equiv content="...charset=">, or an XML declaration near the top
+function sniffDeclaredEncoding(bytes) {
+    const head = new TextDecoder('windows-1252').decode(bytes.subarray(0, 2048));
+    const xml = head.match(/^\s*<\?xml[^>]*encoding\s*=\s*["']([\w.:-]+)["']/i);
+    if (xml) return normalizeEncoding(xml[1]);
+
+    const metas = head.match(/<meta\b[^>]*>/gi) || [];
+    for (const meta of metas) {
+        const charset = meta.match(/\bcharset\s*=\s*["']?([\w.:-]+)/i);
+        if (!charset) continue;
+        const encoding = normalizeEncoding(charset[1]);
+        // A page that got this far as bytes is not really UTF-16 (per the HTML spec)
+        if (encoding) return encoding.startsWith('utf-16') ? 'utf-8' : encoding;
+    }
+    return '';
+}
+
+function isValidUtf8(bytes) {
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// Decode a response body: manual override, then BOM, header charset, in-document declaration, then a guess
+function decodeResponse(buffer, contentType, url) {
+    const bytes = new Uint8Array(buffer || new ArrayBuffer(0));
+    const headerCharset = (contentType || '').match(/charset\s*=\s*["']?([^;"'\s]+)/i);
+
+    const encoding = normalizeEncoding(getEncodingOverride(url)) ||
+        getBomEncoding(bytes) ||
+        normalizeEncoding(headerCharset && headerCharset[1]) ||
+        sniffDeclaredEncoding(bytes) ||
+        (isValidUtf8(bytes) ? 'utf-8' : 'windows-1252');
+
+    return { text: new TextDecoder(encoding).decode(bytes), encoding };
+}
+
+function showEncodings() {
+    const menu = document.getElementById('option-menu');
+    const override = currUrl ? getEncodingOverride(currUrl) : '';
+
+    let html = '<div class="menu-item" tabindex="0" data-action="main-menu">← Back to Main Menu</div>';
+    const autoLabel = currentEncoding && !override ? `Auto (${currentEncoding})` : 'Auto';
+    html += `<div class="menu-item" tabindex="0" data-action="select-encoding" data-encoding="">${override ? '' : '✓ '}${escapeHtml(autoLabel)}</div>`;
+    ENCODING_CHOICES.forEach(encoding => {
+        const mark = encoding === override ? '✓ ' : '';
+        html += `<div class="menu-item" tabindex="0" data-action="select-encoding" data-encoding="${encoding}">${mark}${encoding}</div>`;
+    });
+
+    menu.innerHTML = html;
+    focusMenuItem(override ? `[data-encoding="${override}"]` : '[data-encoding=""]');
+}
+
+// --- NON-HTML CONTENT RENDERERS ---
+// Plain text, Markdown, feeds and JSON are rendered into a reader document, then run through
+// the same sanitizer as HTML pages so styles and link navigation behave the same way.
+const MAX_JSON_NODES = 2000; // Larger documents are truncated to keep the tree responsive
+const JSON_EXPANDED_DEPTH = 2; // Deeper objects and arrays start collapsed
+const LINKIFY_PATTERN = /\b(?:https?|ftp):\/\/[^\s<>"'`]+[^\s<>"'`.,;:!?)\]}]/gi;
+
+// 'html', 'text', 'markdown', 'feed', 'json', or '' when the type cannot be rendered
+function getContentKind(contentType, url, text) {
+    const type = (contentType || '').split(';')[0].trim().toLowerCase();
+    let path = '';
+    try {
+        path = new URL(url).pathname.toLowerCase();
+    } catch (e) { }
+    const start = (text || '').slice(0, 512).replace(/^\s+/, '');
+
+    if (type === 'text/markdown' || type === 'text/x-markdown' ||
+        ((type === 'text/plain' || !type) && /\.(md|markdown)$/.test(path))) return 'markdown';
+    if (type === 'application/json' || type === 'text/json' || /\+json$/.test(type)) return 'json';
+    if (type === 'application/rss+xml' || type === 'application/atom+xml' || type === 'application/rdf+xml') return 'feed';
+    if (type === 'text/xml' || type === 'application/xml' || (!type && start.startsWith('<?xml'))) {
+        return /<(rss|feed|rdf:RDF)[\s>]/.test(text.slice(0, 4096)) ? 'feed' : 'text';
+    }
+    if (!type) return /^[[{]/.test(start) && /\.json$/.test(path) ? 'json' : 'html';
+    if (type.includes('html')) return 'html';
+    if (type === 'text/gemini') return 'gemini';
+    if (type === GOPHER_MENU_TYPE) return 'gopher';
+    if (type.startsWith('text/')) return 'text';
+    return '';
+}
+
+function createReaderDocument(title) {
+    const doc = new DOMParser().parseFromString('<!DOCTYPE html><html><head><title></title></head><body></body></html>', 'text/html');
+    doc.title = title || '';
+    return doc;
+}
+
+// Last path segment, used as the title of documents that have none of their own
+function getFileTitle(url) {
+    try {
+        const parsed = new URL(url);
+        const name = decodeURIComponent(parsed.pathname.split('/').filter(Boolean).pop() || '');
+        return name || parsed.hostname;
+    } catch (e) {
+        return url;
+    }
+}
+
+// Append `text` to `parent`, turning bare URLs into links
+function appendLinkifiedText(parent, text) {
+    const doc = parent.ownerDocument;
+    let last = 0;
+    text.replace(LINKIFY_PATTERN, (match, offset) => {
+        if (offset > last) parent.appendChild(doc.createTextNode(text.slice(last, offset)));
+        const link = doc.createElement('a');
+        link.setAttribute('href', match);
+        link.textContent = match;
+        parent.appendChild(link);
+        last = offset + match.length;
+        return match;
+    });
+    if (last < text.length) parent.appendChild(doc.createTextNode(text.slice(last)));
+}
+
+function renderPlainText(text, url) {
+    const doc = createReaderDocument(getFileTitle(url));
+    const pre = doc.createElement('pre');
+    pre.className = 'plain-text';
+    appendLinkifiedText(pre, text);
+    doc.body.appendChild(pre);
+    return doc;
+}
+
+// Inline Markdown on already-escaped text: code spans, images, links, autolinks, emphasis
+function renderMarkdownInline(escaped) {
+    // Code spans and generated tags become placeholders so emphasis never reaches into them
+    const placeholders = [];
+    const protect = (html) => {
+        placeholders.push(html);
+        return `\u0000${placeholders.length - 1}\u0000`;
+    };
+    let html = escaped
+        .replace(/`([^`]+)`/g, (m, code) => protect(`<code>${code}</code>`))
+        .replace(/!\[([^\]]*)\]\(\s*([^)\s]+)(?:\s+&quot;[^)]*&quot;)?\s*\)/g, (m, alt, src) => protect(`<img src="${src}" alt="${alt}">`))
+        .replace(/\[([^\]]+)\]\(\s*([^)\s]+)(?:\s+&quot;[^)]*&quot;)?\s*\)/g, (m, text, href) => protect(`<a href="${href}">`) + text + protect('</a>'))
+        .replace(/&lt;((?:https?|ftp):\/\/[^\s&]+|mailto:[^\s&]+)&gt;/g, (m, href) => protect(`<a href="${href}">${href}</a>`));
+    html = html
+        .replace(/(\*\*|__)(\S(?:.*?\S)?)\1/g, '<strong>$2</strong>')
+        .replace(/(^|[^\w*])\*(\S(?:.*?\S)?)\*(?!\*)/g, '$1<em>$2</em>')
+        .replace(/(^|\W)_(\S(?:.*?\S)?)_(?!\w)/g, '$1<em>$2</em>')
+        .replace(/~~(\S(?:.*?\S)?)~~/g, '<del>$1</del>');
+    return html.replace(/\u0000(\d+)\u0000/g, (m, index) => placeholders[index]);
+}
+
+// Block-level Markdown (headings, fences, quotes, lists, rules, paragraphs). Raw HTML is shown
+// as text rather than passed through; the result still goes through the page sanitizer.
+function renderMarkdown(text, url) {
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let paragraph = [];
+    let list = null; // { tag, items }
+    let quote = [];
+
+    const flushParagraph = () => {
+        if (paragraph.length) blocks.push(`<p>${renderMarkdownInline(escapeHtml(paragraph.join(' ')))}</p>`);
+        paragraph = [];
+    };
+    const flushList = () => {
+        if (list) blocks.push(`<${list.tag}>${list.items.map(item => `<li>${renderMarkdownInline(escapeHtml(item))}</li>`).join('')}</${list.tag}>`);
+        list = null;
+    };
+    const flushQuote = () => {
+        if (quote.length) blocks.push(`<blockquote>${renderMarkdown(quote.join('\n'), url).body.innerHTML}</blockquote>`);
+        quote = [];
+    };
+    const flushAll = () => {
+        flushParagraph();
+        flushList();
+        flushQuote();
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        let match;
+
+        if ((match = line.match(/^\s*(```|~~~)/))) {
+            flushAll();
+            const fence = match[1];
+            const code = [];
+            while (++i < lines.length && !lines[i].trim().startsWith(fence)) code.push(lines[i]);
+            blocks.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+        } else if ((match = line.match(/^\s{0,3}>\s?(.*)$/))) {
+            flushParagraph();
+            flushList();
+            quote.push(match[1]);
+        } else if (!line.trim()) {
+            flushAll();
+        } else if ((match = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/))) {
+            flushAll();
+            const level = match[1].length;
+            blocks.push(`<h${level}>${renderMarkdownInline(escapeHtml(match[2]))}</h${level}>`);
+        } else if (paragraph.length && /^\s{0,3}(=+|-+)\s*$/.test(line)) {
+            // Setext heading: underline of = or - below a paragraph line
+            const level = line.trim()[0] === '=' ? 1 : 2;
+            blocks.push(`<h${level}>${renderMarkdownInline(escapeHtml(paragraph.join(' ')))}</h${level}>`);
+            paragraph = [];
+        } else if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            flushAll();
+            blocks.push('<hr>');
+        } else if ((match = line.match(/^\s*([-*+]|\d+[.)])\s+(.*)$/))) {
+            flushParagraph();
+            flushQuote();
+            const tag = /\d/.test(match[1]) ? 'ol' : 'ul';
+            if (list && list.tag !== tag) flushList();
+            if (!list) list = { tag, items: [] };
+            list.items.push(match[2]);
+        } else if (list && /^\s+\S/.test(line)) {
+            // Indented continuation of the previous list item
+            list.items[list.items.length - 1] += ' ' + line.trim();
+        } else {
+            flushList();
+            flushQuote();
+            paragraph.push(line.trim());
+        }
+    }
+    flushAll();
+
+    const doc = createReaderDocument('');
+    doc.body.innerHTML = blocks.join('\n');
+    const heading = doc.body.querySelector('h1, h2');
+    doc.title = heading ? heading.textContent.trim() : getFileTitle(url);
+    return doc;
+}
+
+function getXmlChildText(el, names) {
+    for (const child of Array.from(el.children)) {
+        if (names.includes(child.localName)) return (child.textContent || '').trim();
+    }
+    return '';
+}
+
+// Feed markup often arrives escaped; reduce it to plain text
+function htmlToText(html) {
+    if (!html) return '';
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    return (doc.body ? doc.body.textContent : '').trim().replace(/\s+/g, ' ');
+}
+
+// RSS 2.0, RSS 1.0 (RDF) and Atom into { title, description, link, items: [{ id, title, link, date, summary, content }] }
+function parseFeed(xmlText, baseUrl) {
+    const xml = new DOMParser().parseFromString(xmlText, 'application/xml');
+    const root = xml.documentElement;
+    if (!root || root.localName === 'parsererror' || xml.getElementsByTagName('parsererror').length) return null;
+
+    const resolve = (href) => {
+        try {
+            return href ? new URL(href, baseUrl).href : '';
+        } catch (e) {
+            return '';
+        }
+    };
+    const atomLink = (el) => {
+        const links = Array.from(el.children).filter(child => child.localName === 'link');
+        const alternate = links.find(link => !link.getAttribute('rel') || link.getAttribute('rel') === 'alternate') || links[0];
+        return alternate ? resolve(alternate.getAttribute('href') || alternate.textContent.trim()) : '';
+    };
+
+    if (root.localName === 'feed') {
+        return {
+            title: getXmlChildText(root, ['title']),
+            description: getXmlChildText(root, ['subtitle']),
+            link: atomLink(root),
+            items: Array.from(root.children).filter(el => el.localName === 'entry').map(entry => {
+                const link = atomLink(entry);
+                const content = getXmlChildText(entry, ['content']);
+                return {
+                    id: getXmlChildText(entry, ['id']) || link,
+                    title: htmlToText(getXmlChildText(entry, ['title'])),
+                    link,
+                    date: getXmlChildText(entry, ['updated', 'published']),
+                    summary: htmlToText(getXmlChildText(entry, ['summary']) || content),
+                    content: content || getXmlChildText(entry, ['summary'])
+                };
+            })
+        };
+    }
+
+    if (root.localName !== 'rss' && root.localName !== 'RDF') return null;
+    const channel = Array.from(root.children).find(el => el.localName === 'channel') || root;
+    // RSS 2.0 nests items in <channel>; RSS 1.0 puts them next to it
+    const items = Array.from(xml.getElementsByTagName('*')).filter(el => el.localName === 'item');
+    return {
+        title: getXmlChildText(channel, ['title']),
+        description: htmlToText(getXmlChildText(channel, ['description'])),
+        link: resolve(getXmlChildText(channel, ['link'])),
+        items: items.map(item => {
+            const link = resolve(getXmlChildText(item, ['link']));
+            const description = getXmlChildText(item, ['description']);
+            const content = getXmlChildText(item, ['encoded']) || description;
+            return {
+                id: getXmlChildText(item, ['guid']) || link,
+                title: htmlToText(getXmlChildText(item, ['title'])),
+                link,
+                date: getXmlChildText(item, ['pubDate', 'date']),
+                summary: htmlToText(description || content),
+                content
+            };
+        })
+    };
+}
+
+function formatFeedDate(value) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? value : date.toLocaleDateString();
+}
+
+function renderFeed(text, url) {
+    const feed = parseFeed(text, url);
+    if (!feed) return renderPlainText(text, url);
+
+    const doc = createReaderDocument(feed.title || getFileTitle(url));
+    let html = `<h1>${escapeHtml(feed.title || getFileTitle(url))}</h1>`;
+    if (feed.description) html += `<p>${escapeHtml(feed.description)}</p>`;
+    if (feed.link) html += `<p><a href="${escapeHtml(feed.link)}">Visit site</a></p>`;
+    html += '<ul class="feed-items">';
+    feed.items.forEach(item => {
+        const title = escapeHtml(item.title || item.link || 'Untitled');
+        html += '<li class="feed-item">';
+        html += item.link ? `<a href="${escapeHtml(item.link)}">${title}</a>` : `<strong>${title}</strong>`;
+        if (item.date) html += `<div class="feed-meta">${escapeHtml(formatFeedDate(item.date))}</div>`;
+        if (item.summary) {
+            const summary = item.summary.length > 200 ? item.summary.slice(0, 200) + '…' : item.summary;
+            html += `<div class="feed-summary">${escapeHtml(summary)}</div>`;
+        }
+        html += '</li>';
+    });
+    html += '</ul>';
+    if (feed.items.length === 0) html += '<p>This feed has no items.</p>';
+    doc.body.innerHTML = html;
+    return doc;
+}
+
+// Collapsible tree: containers get a focusable .json-toggle that shows or hides their children
+function renderJson(text, url) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        return renderPlainText(text, url);
+    }
+
+    const doc = createReaderDocument(getFileTitle(url));
+    let nodeCount = 0;
+
+    const build = (key, value, depth) => {
+        nodeCount++;
+        const node = doc.createElement('div');
+        node.className = 'json-node';
+        const keyLabel = key === null ? '' : `${key}: `;
+
+        if (value !== null && typeof value === 'object') {
+            const isArray = Array.isArray(value);
+            const entries = isArray ? value.map((v, i) => [i, v]) : Object.keys(value).map(k => [JSON.stringify(k), value[k]]);
+            const toggle = doc.createElement('a');
+            toggle.className = 'json-toggle';
+            toggle.setAttribute('data-json-toggle', '');
+            toggle.textContent = `${keyLabel}${isArray ? '[' : '{'}${entries.length}${isArray ? ']' : '}'}`;
+            node.appendChild(toggle);
+
+            const children = doc.createElement('div');
+            children.className = 'json-children';
+            if (depth >= JSON_EXPANDED_DEPTH && entries.length) {
+                node.classList.add('json-collapsed');
+                children.classList.add('hidden');
+            }
+            for (const [childKey, childValue] of entries) {
+                if (nodeCount >= MAX_JSON_NODES) {
+                    const more = doc.createElement('div');
+                    more.className = 'json-node';
+                    more.textContent = '… (truncated)';
+                    children.appendChild(more);
+                    break;
+                }
+                children.appendChild(build(childKey, childValue, depth + 1));
+            }
+            node.appendChild(children);
+        } else {
+            if (keyLabel) {
+                const keyEl = doc.createElement('span');
+                keyEl.className = 'json-key';
+                keyEl.textContent = keyLabel;
+                node.appendChild(keyEl);
+            }
+            const valueEl = doc.createElement('span');
+            valueEl.className = 'json-value json-' + (value === null ? 'null' : typeof value);
+            appendLinkifiedText(valueEl, JSON.stringify(value));
+            node.appendChild(valueEl);
+        }
+        return node;
+    };
+
+    const tree = doc.createElement('div');
+    tree.className = 'json-tree';
+    tree.appendChild(build(null, data, 0));
+    doc.body.appendChild(tree);
+    return doc;
+}
+
+function toggleJsonNode(toggle) {
+    const node = toggle.parentNode;
+    const children = node.querySelector('.json-children');
+    if (!children) return;
+    children.classList.toggle('hidden');
+    node.classList.toggle('json-collapsed', children.classList.contains('hidden'));
+}
+
+// Build a reader document for `text` according to its content kind
+function renderContent(kind, text, url) {
+    switch (kind) {
+        case 'markdown':
+            return renderMarkdown(text, url);
+        case 'feed':
+            return renderFeed(text, url);
+        case 'json':
+            return renderJson(text, url);
+        case 'text':
+            return renderPlainText(text, url);
+        case 'gemini':
+            return renderGemtext(text, url);
+        case 'gopher':
+            return renderGopherMenu(text, url);
+        default:
+            return new DOMParser().parseFromString(text, 'text/html');
+    }
+}
+
+// --- SMALL WEB: GEMINI & GOPHER ---
+// Both protocols are spoken over mozTCPSocket; responses come back in the same
+// { bytes, contentType, url } shape as fetchHttp() so they go through the normal render path.
+// Gemini is limited to capsules whose TLS certificate chains to a trusted CA: mozTCPSocket
+// verifies certificates and offers no trust-on-first-use, so the many self-signed capsules
+// cannot be opened.
+const GEMINI_PORT = 1965;
+const GOPHER_PORT = 70;
+const MAX_SMALL_WEB_REDIRECTS = 5;
+const MAX_SOCKET_RESPONSE = 5 * 1024 * 1024;
+const GOPHER_MENU_TYPE = 'application/gopher-menu';
+// Gopher item types that can be followed; the rest (binaries, telnet, ...) are listed as plain text
+const GOPHER_TYPE_LABELS = { '0': 'TXT', '1': 'DIR', '7': 'SEARCH', 'h': 'HTML' };
+
+function isSmallWebUrl(url) {
+    return /^(gemini|gopher):\/\//i.test(url || '');
+}
+
+// Error whose message is shown to the user instead of the generic load failure
+function smallWebError(message) {
+    const error = new Error(message);
+    error.displayMessage = message;
+    return error;
+}
+
+// Gemini URLs are ordinary hierarchical URLs. Gopher selectors are opaque, so
+// gopher://host[:port]/<type><selector>[%09search] is split by hand and never normalized.
+function parseSmallWebUrl(url) {
+    const protocol = url.slice(0, url.indexOf(':') + 1).toLowerCase();
+    if (protocol === 'gopher:') {
+        const match = /^gopher:\/\/([^/:?#]+)(?::(\d*))?(\/[^#]*)?/i.exec(url);
+        if (!match) throw smallWebError('This is not a valid Gopher address.');
+        const path = (match[3] || '').slice(1);
+        const searchStart = path.search(/%09/i);
+        const selector = searchStart === -1 ? path : path.slice(0, searchStart);
+        // Anything after a second %09 is a Gopher+ string, which is not supported
+        const search = searchStart === -1 ? '' : path.slice(searchStart + 3).split(/%09/i)[0];
+        return {
+            protocol,
+            host: match[1].toLowerCase(),
+            port: parseInt(match[2], 10) || GOPHER_PORT,
+            type: path ? path.charAt(0) : '1',
+            selector: decodeGopherPart(selector.slice(1)),
+            search: decodeGopherPart(search)
+        };
+    }
+    const parsed = new URL(url.replace(/^[a-z]+:/i, 'https:'));
+    return {
+        protocol,
+        host: parsed.hostname,
+        port: parseInt(parsed.port, 10) || GEMINI_PORT,
+        path: parsed.pathname,
+        query: parsed.search.slice(1)
+    };
+}
+
+// Percent-decode a selector or search string, leaving malformed escapes as typed
+function decodeGopherPart(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (e) {
+        return value;
+    }
+}
+
+// Send `request` and collect everything until the server closes the connection
+function tcpRequest(host, port, request, useSecureTransport) {
+    return new Promise((resolve, reject) => {
+        if (!navigator.mozTCPSocket) {
+            reject(smallWebError('This device does not allow raw socket connections.'));
+            return;
+        }
+        const chunks = [];
+        let total = 0;
+        let settled = false;
+        let socket = null;
+
+        const finish = (error) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            try {
+                if (socket) socket.close();
+            } catch (e) { }
+            if (error) {
+                reject(error);
+                return;
+            }
+            const bytes = new Uint8Array(total);
+            let offset = 0;
+            chunks.forEach(chunk => {
+                bytes.set(chunk, offset);
+                offset += chunk.length;
+            });
+            resolve(bytes);
+        };
+        const timer = setTimeout(() => finish(new Error('Timeout')), REQUEST_TIMEOUT);
+
+        try {
+            socket = navigator.mozTCPSocket.open(host, port, { useSecureTransport, binaryType: 'arraybuffer' });
+        } catch (e) {
+            finish(e);
+            return;
+        }
+        socket.onopen = () => {
+            const data = new TextEncoder().encode(request);
+            socket.send(data.buffer, 0, data.byteLength);
+        };
+        socket.ondata = (event) => {
+            const chunk = new Uint8Array(event.data);
+            total += chunk.length;
+            if (total > MAX_SOCKET_RESPONSE) {
+                finish(smallWebError('The response is too large to display.'));
+                return;
+            }
+            chunks.push(chunk);
+        };
+        socket.onclose = () => finish();
+        socket.onerror = (event) => {
+            const name = (event && event.data && event.data.name) || '';
+            // Self-signed capsules end up here; see the note at the top of this section
+            finish(/Security|Certificate/i.test(name) ?
+                smallWebError("This capsule's TLS certificate is self-signed or untrusted. Only capsules with a CA-signed certificate can be opened.") :
+                new Error(name || 'Socket error'));
+        };
+    });
+}
+
+function fetchSmallWeb(url, redirects = 0) {
+    return /^gemini:/i.test(url) ? fetchGemini(url, redirects) : fetchGopher(url);
+}
+
+async function fetchGemini(url, redirects) {
+    const target = parseSmallWebUrl(url);
+    const bytes = await tcpRequest(target.host, target.port, url + '\r\n', true);
+
+    // "<status><SP><meta>\r\n" then the body; a response without a complete header line is invalid
+    const headerEnd = bytes.indexOf(10);
+    if (headerEnd === -1) throw smallWebError('The Gemini server sent an invalid response.');
+    const header = new TextDecoder('utf-8').decode(bytes.subarray(0, headerEnd)).replace(/\r$/, '');
+    const match = header.match(/^([1-6])(\d)(?:\s+(.*))?$/);
+    if (!match) throw smallWebError('The Gemini server sent an invalid response.');
+    const status = match[1];
+    const code = match[1] + match[2];
+    const meta = (match[3] || '').trim();
+
+    switch (status) {
+        case '1':
+            return { url, inputPrompt: { label: meta || 'Input requested', sensitive: code === '11' } };
+        case '2':
+            return { url, bytes: bytes.subarray(headerEnd + 1), contentType: meta || 'text/gemini; charset=utf-8' };
+        case '3': {
+            if (redirects >= MAX_SMALL_WEB_REDIRECTS) throw smallWebError('Too many redirects.');
+            const next = resolveUrl(meta, url);
+            return isSmallWebUrl(next) ? fetchSmallWeb(next, redirects + 1) : fetchHttp(next);
+        }
+        case '4':
+            throw smallWebError(`Temporary failure (${code})${meta ? ': ' + meta : ''}. Try again later.`);
+        case '5':
+            throw smallWebError(`${code === '51' ? 'Not found' : 'Permanent failure'} (${code})${meta ? ': ' + meta : ''}`);
+        default:
+            throw smallWebError('This page requires a client certificate, which is not supported.');
+    }
+}
+
+// gopher://host[:port]/<type><selector>[%09search]; the search is sent with a type 7 selector
+async function fetchGopher(url) {
+    const { host, port, type, selector, search } = parseSmallWebUrl(url);
+
+    if (type === '7' && !search) return { url, inputPrompt: { label: 'Search', sensitive: false } };
+    if (!GOPHER_TYPE_LABELS[type]) throw smallWebError('This Gopher item type cannot be shown.');
+
+    const request = type === '7' ? selector + '\t' + search : selector;
+    const bytes = await tcpRequest(host, port, request + '\r\n', false);
+    const contentTypes = { '0': 'text/plain', '1': GOPHER_MENU_TYPE, '7': GOPHER_MENU_TYPE, 'h': 'text/html' };
+    return { url, bytes: type === '0' ? stripGopherTerminator(bytes) : bytes, contentType: contentTypes[type] };
+}
+
+// Text items end with a line holding a single "."
+function stripGopherTerminator(bytes) {
+    let end = bytes.length;
+    while (end > 0 && (bytes[end - 1] === 10 || bytes[end - 1] === 13)) end--;
+    if (end > 0 && bytes[end - 1] === 46 && (end === 1 || bytes[end - 2] === 10)) return bytes.subarray(0, end - 1);
+    return bytes;
+}
+
+function buildGopherHref(type, selector, host, port) {
+    if (type === 'h' && selector.startsWith('URL:')) return selector.slice(4);
+    if (!GOPHER_TYPE_LABELS[type] || !host) return '';
+    const portPart = port && port !== String(GOPHER_PORT) ? ':' + port : '';
+    const path = encodeURI(selector).replace(/[?#]/g, encodeURIComponent);
+    return `gopher://${host}${portPart}/${type}${path}`;
+}
+
+function renderGopherMenu(text, url) {
+    const doc = createReaderDocument(getFileTitle(url));
+    const menu = doc.createElement('div');
+    menu.className = 'gopher-menu';
+
+    for (const line of text.replace(/\r\n?/g, '\n').split('\n')) {
+        if (line === '.') break;
+        if (!line) continue;
+        const type = line[0];
+        const fields = line.slice(1).split('\t');
+        const display = fields[0] || '';
+        const row = doc.createElement('div');
+        row.className = 'gopher-line';
+
+        const href = type === 'i' || type === '3' ? '' : buildGopherHref(type, fields[1] || '', (fields[2] || '').trim(), (fields[3] || '').trim());
+        if (href) {
+            const label = doc.createElement('span');
+            label.className = 'gopher-type';
+            label.textContent = `[${type === 'h' ? 'WEB' : GOPHER_TYPE_LABELS[type]}] `;
+            const link = doc.createElement('a');
+            link.setAttribute('href', href);
+            link.textContent = display || href;
+            row.appendChild(label);
+            row.appendChild(link);
+        } else {
+            if (type === '3') row.className += ' gopher-error';
+            row.textContent = type === 'i' || type === '3' ? display : `[${type}] ${display}`;
+        }
+        menu.appendChild(row);
+    }
+    doc.body.appendChild(menu);
+    return doc;
+}
+
+// Gemtext: "=>" links, #/##/### headings, "* " lists, ">" quotes and ``` preformatted blocks
+function renderGemtext(text, url) {
+    const doc = createReaderDocument('');
+    const body = doc.body;
+    let list = null;
+    let preLines = null;
+    let preAlt = '';
+
+    const append = (tag, content, className) => {
+        const el = doc.createElement(tag);
+        el.textContent = content;
+        if (className) el.className = className;
+        body.appendChild(el);
+        return el;
+    };
+
+    for (const line of text.replace(/\r\n?/g, '\n').split('\n')) {
+        if (preLines) {
+            if (line.startsWith('```')) {
+                const pre = append('pre', preLines.join('\n'));
+                if (preAlt) pre.setAttribute('title', preAlt);
+                preLines = null;
+            } else {
+                preLines.push(line);
+            }
+            continue;
+        }
+        if (line.startsWith('* ')) {
+            if (!list) list = body.appendChild(doc.createElement('ul'));
+            const item = doc.createElement('li');
+            item.textContent = line.slice(2);
+            list.appendChild(item);
+            continue;
+        }
+        list = null;
+
+        let match;
+        if (line.startsWith('```')) {
+            preLines = [];
+            preAlt = line.slice(3).trim();
+        } else if ((match = line.match(/^=>\s*(\S+)(?:\s+(.*))?$/))) {
+            const paragraph = doc.createElement('p');
+            paragraph.className = 'gemini-link';
+            const link = doc.createElement('a');
+            link.setAttribute('href', match[1]);
+            link.textContent = (match[2] || '').trim() || match[1];
+            paragraph.appendChild(link);
+            body.appendChild(paragraph);
+        } else if ((match = line.match(/^(#{1,3})\s*(.*)$/))) {
+            append('h' + match[1].length, match[2]);
+        } else if (line.startsWith('>')) {
+            append('blockquote', line.slice(1).trim());
+        } else if (line.trim()) {
+            append('p', line);
+        }
+    }
+    if (preLines) append('pre', preLines.join('\n'));
+
+    const heading = body.querySelector('h1, h2');
+    doc.title = heading ? heading.textContent.trim() : getFileTitle(url);
+    return doc;
+}
+
+// Gemini status 1x and Gopher searches: a page that asks for a line of text
+function renderInputRequest(request, url) {
+    const doc = createReaderDocument(request.label);
+    const heading = doc.createElement('h1');
+    heading.textContent = 'Input requested';
+    const label = doc.createElement('p');
+    label.textContent = request.label;
+    const paragraph = doc.createElement('p');
+    const link = doc.createElement('a');
+    link.setAttribute('data-input-url', url);
+    link.setAttribute('data-input-label', request.label);
+    if (request.sensitive) link.setAttribute('data-input-sensitive', '');
+    link.textContent = 'Enter response';
+    paragraph.appendChild(link);
+    doc.body.appendChild(heading);
+    doc.body.appendChild(label);
+    doc.body.appendChild(paragraph);
+    return doc;
+}
+
+function promptForInput(request, url) {
+    openPrompt(request.label || 'Input requested', '', (value) => {
+        if (!value) return;
+        // Gemini takes the input as the query; Gopher searches follow a tab (%09)
+        if (/^gopher:/i.test(url)) loadPage(url.replace(/(%09|#).*$/i, '') + '%09' + encodeURIComponent(value));
+        else loadPage(url.replace(/[?#].*$/, '') + '?' + encodeURIComponent(value));
+    });
+    // Gemini status 11 asks for sensitive input such as a password
+    document.getElementById('prompt-input').type = request.sensitive ? 'password' : 'text';
+}
+
+// --- TABLE & LIST REFLOW ---
+// 'cards' restacks data tables as "header: value" cards, 'scroll' keeps them for ArrowLeft/Right scrolling
+const TABLE_MODES = ['cards', 'scroll'];
+const MAX_LIST_DEPTH = 3;
+
+function getTableMode() {
+    const mode = getSafeLocalStorage('tableMode', 'cards');
+    return TABLE_MODES.includes(mode) ? mode : 'cards';
+}
+
+function getOwnRows(table) {
+    return Array.from(table.rows || []).filter(row => row.closest('table') === table);
+}
+
+// Tables used only for positioning have no headers and little grid structure
+function isLayoutTable(table) {
+    const role = (table.getAttribute('role') || '').toLowerCase();
+    if (role === 'presentation' || role === 'none') return true;
+    if (table.querySelector('table')) return true;
+    const rows = getOwnRows(table);
+    if (table.caption || table.tHead || table.tFoot || table.querySelector('colgroup') || table.getAttribute('summary')) return false;
+    if (rows.some(row => Array.from(row.cells).some(cell => cell.tagName === 'TH'))) return false;
+    const columns = Math.max(0, ...rows.map(row => row.cells.length));
+    if (rows.length <= 1 || columns <= 1) return true;
+    if (rows.length >= 10 || columns > 4) return false;
+    return rows.length * columns <= 10;
+}
+
+function moveChildren(from, to) {
+    while (from.firstChild) to.appendChild(from.firstChild);
+    return to;
+}
+
+function cellText(cell) {
+    return (cell.textContent || '').trim().replace(/\s+/g, ' ');
+}
+
+// Replace a layout table with its cells' content in reading order
+function flattenLayoutTable(table) {
+    const doc = table.ownerDocument;
+    const wrapper = doc.createElement('div');
+    getOwnRows(table).forEach(row => {
+        Array.from(row.cells).forEach(cell => {
+            if (!cellText(cell) && !cell.querySelector('a, input, select, textarea, button')) return;
+            wrapper.appendChild(moveChildren(cell, doc.createElement('div')));
+        });
+    });
+    table.replaceWith(wrapper);
+}
+
+function tableToCards(table) {
+    const doc = table.ownerDocument;
+    const wrapper = doc.createElement('div');
+    wrapper.className = 'table-cards';
+
+    if (table.caption && cellText(table.caption)) {
+        const caption = doc.createElement('div');
+        caption.className = 'table-caption';
+        wrapper.appendChild(moveChildren(table.caption, caption));
+    }
+
+    const rows = getOwnRows(table);
+    // A header row is one made entirely of <th> (or the <thead> row)
+    let headers = [];
+    const headerRow = rows.find(row => (row.parentNode && row.parentNode.tagName === 'THEAD') ||
+        (row.cells.length > 1 && Array.from(row.cells).every(cell => cell.tagName === 'TH')));
+    if (headerRow) {
+        Array.from(headerRow.cells).forEach(cell => {
+            const span = Math.max(1, parseInt(cell.getAttribute('colspan'), 10) || 1);
+            for (let i = 0; i < span; i++) headers.push(cellText(cell));
+        });
+    }
+
+    let card = null;
+    rows.forEach(row => {
+        if (row === headerRow || (row.parentNode && row.parentNode.tagName === 'THEAD')) return;
+        const cells = Array.from(row.cells);
+        if (cells.length === 0) return;
+
+        // A single full-width cell is a section heading (e.g. infobox sections)
+        if (cells.length === 1 && (cells[0].tagName === 'TH' || parseInt(cells[0].getAttribute('colspan'), 10) > 1)) {
+            const section = doc.createElement('div');
+            section.className = 'table-section';
+            wrapper.appendChild(moveChildren(cells[0], section));
+            card = null;
+            return;
+        }
+
+        // Header-less "label | value" rows (infoboxes) share one card; other rows get their own
+        const isPair = !headerRow && cells.length === 2 && cells[0].tagName === 'TH';
+        if (!isPair || !card) {
+            card = doc.createElement('div');
+            card.className = 'table-card';
+            wrapper.appendChild(card);
+        }
+
+        let column = 0;
+        cells.forEach((cell, index) => {
+            if (isPair && index === 0) return;
+            const line = doc.createElement('div');
+            line.className = 'table-card__row';
+            const label = isPair ? cellText(cells[0]) : (headers[column] || '');
+            column += Math.max(1, parseInt(cell.getAttribute('colspan'), 10) || 1);
+            if (!cellText(cell) && !cell.querySelector('a, img, .image-placeholder, input, select')) return;
+
+            if (label && label !== cellText(cell)) {
+                const labelEl = doc.createElement('span');
+                labelEl.className = 'table-card__label';
+                labelEl.textContent = label + ': ';
+                line.appendChild(labelEl);
+            } else if (cell.tagName === 'TH') {
+                line.className += ' table-card__title';
+            }
+            card.appendChild(moveChildren(cell, line));
+        });
+        if (!isPair) card = null;
+    });
+
+    table.replaceWith(wrapper);
+}
+
+function reflowTables(source, mode) {
+    // Innermost tables first so nested layout tables unwrap before their parents are judged
+    Array.from(source.querySelectorAll('table')).reverse().forEach(table => {
+        if (isLayoutTable(table)) {
+            flattenLayoutTable(table);
+        } else if (mode === 'scroll') {
+            const scroller = table.ownerDocument.createElement('div');
+            scroller.className = 'table-scroll';
+            table.replaceWith(scroller);
+            scroller.appendChild(table);
+        } else {
+            tableToCards(table);
+        }
+    });
+}
+
+function getListDepth(list, source) {
+    let depth = 0;
+    let el = list.parentElement;
+    while (el && el !== source) {
+        if (el.tagName === 'UL' || el.tagName === 'OL') depth++;
+        el = el.parentElement;
+    }
+    return depth;
+}
+
+// Lists nested past MAX_LIST_DEPTH become flat, marker-prefixed lines; wrapper-only items unwrap
+function flattenNestedLists(source) {
+    const doc = source.ownerDocument;
+    Array.from(source.querySelectorAll('ul, ol')).reverse().forEach(list => {
+        // <li> holding nothing but another list only adds indentation
+        Array.from(list.children).forEach(li => {
+            if (li.tagName === 'LI' && li.children.length === 1 && /^(UL|OL)$/.test(li.children[0].tagName) &&
+                cellText(li) === cellText(li.children[0])) {
+                li.replaceWith(...Array.from(li.children[0].children));
+            }
+        });
+
+        if (getListDepth(list, source) < MAX_LIST_DEPTH) return;
+        const flat = doc.createElement('div');
+        flat.className = 'flat-list';
+        Array.from(list.children).forEach(li => {
+            const item = doc.createElement('div');
+            item.className = 'flat-list-item';
+            item.appendChild(doc.createTextNode('› '));
+            flat.appendChild(moveChildren(li, item));
+        });
+        list.replaceWith(flat);
+    });
+}
+
+// ArrowLeft/Right in scroll mode: move the table holding the selected link, else the one in view
+function scrollWideTable(direction) {
+    const reader = document.getElementById('reader');
+    const selected = reader.querySelector('.link-selected');
+    let target = selected ? selected.closest('.table-scroll') : null;
+    if (!target) {
+        const readerRect = reader.getBoundingClientRect();
+        target = Array.from(reader.querySelectorAll('.table-scroll')).find(el => {
+            const r = el.getBoundingClientRect();
+            return r.bottom > readerRect.top && r.top < readerRect.bottom && el.scrollWidth > el.clientWidth;
+        });
+    }
+    if (!target) return false;
+    target.scrollLeft += direction * Math.max(40, target.clientWidth * 0.8);
+    return true;
+}
+
+// --- LOW-BANDWIDTH IMAGES ---
+// 'off' strips images, 'placeholders' loads them on demand, 'auto' also fetches small ones
+const IMAGE_MODES = ['off', 'placeholders', 'auto'];
+const IMAGE_AUTO_LIMITS_KB = [20, 50, 100];
+const MAX_AUTO_IMAGES = 20; // Per page, to keep auto mode from draining data on galleries
+
+// The global mode, or the site's override when `url` is given
+function getImageMode(url = '') {
+    const siteMode = url ? getSiteSettings(url).imageMode : '';
+    if (IMAGE_MODES.includes(siteMode)) return siteMode;
+    const mode = getSafeLocalStorage('imageMode', 'placeholders');
+    return IMAGE_MODES.includes(mode) ? mode : 'placeholders';
+}
+
+function getImageAutoLimitKb() {
+    const limit = parseInt(getSafeLocalStorage('imageAutoLimitKb', '50'), 10);
+    return IMAGE_AUTO_LIMITS_KB.includes(limit) ? limit : 50;
+}
+
+function getImageModeLabel() {
+    const mode = getImageMode();
+    const label = mode === 'auto' ? `AUTO <${getImageAutoLimitKb()}KB` : mode.toUpperCase();
+    return sessionImageBytes > 0 ? `${label} · ${formatBytes(sessionImageBytes)}` : label;
+}
+
+// Cycle off → placeholders → auto (each size limit) → off
+function cycleImageMode() {
+    const mode = getImageMode();
+    const limit = getImageAutoLimitKb();
+    if (mode === 'off') {
+        setSafeLocalStorage('imageMode', 'placeholders');
+    } else if (mode === 'placeholders') {
+        setSafeLocalStorage('imageMode', 'auto');
+        setSafeLocalStorage('imageAutoLimitKb', String(IMAGE_AUTO_LIMITS_KB[0]));
+    } else {
+        const next = IMAGE_AUTO_LIMITS_KB.indexOf(limit) + 1;
+        if (next < IMAGE_AUTO_LIMITS_KB.length) {
+            setSafeLocalStorage('imageAutoLimitKb', String(IMAGE_AUTO_LIMITS_KB[next]));
+        } else {
+            setSafeLocalStorage('imageMode', 'off');
+        }
+    }
+}
+
+// Pick the smallest srcset candidate that still covers the screen width
+function pickImageSource(img, pageUrl) {
+    const candidates = [];
+    const srcset = img.getAttribute('srcset') || img.getAttribute('data-srcset') || '';
+    srcset.split(',').forEach(part => {
+        const [src, descriptor] = part.trim().split(/\s+/);
+        if (!src) return;
+        const width = descriptor && /w$/.test(descriptor) ? parseInt(descriptor, 10) : 0;
+        candidates.push({ src, width });
+    });
+
+    const screenWidth = window.innerWidth || 240;
+    const sized = candidates.filter(c => c.width > 0).sort((a, b) => a.width - b.width);
+    const fit = sized.find(c => c.width >= screenWidth) || sized[sized.length - 1];
+    const raw = (fit && fit.src) || img.getAttribute('data-src') || img.getAttribute('data-lazy-src') ||
+        img.getAttribute('src') || (candidates[0] && candidates[0].src);
+    if (!raw) return null;
+
+    try {
+        const resolved = new URL(raw, pageUrl);
+        return (resolved.protocol === 'http:' || resolved.protocol === 'https:') ? resolved.href : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function renderImagePlaceholders(source, pageUrl) {
+    const doc = source.ownerDocument;
+    source.querySelectorAll('img').forEach(img => {
+        // Tracking pixels and spacers
+        const width = parseInt(img.getAttribute('width'), 10);
+        const height = parseInt(img.getAttribute('height'), 10);
+        if ((width > 0 && width <= 2) || (height > 0 && height <= 2)) {
+            img.remove();
+            return;
+        }
+
+        const src = pickImageSource(img, pageUrl);
+        const alt = (img.getAttribute('alt') || img.getAttribute('title') || '').trim().replace(/\s+/g, ' ');
+        if (!src) {
+            img.remove();
+            return;
+        }
+
+        // Images inside links stay text-only so the link remains the focus target
+        if (img.closest('a')) {
+            const text = doc.createElement('span');
+            text.className = 'image-inline-label';
+            text.textContent = `[Image${alt ? ': ' + alt : ''}]`;
+            img.replaceWith(text);
+            return;
+        }
+
+        const placeholder = doc.createElement('a');
+        placeholder.className = 'kai-link image-placeholder';
+        placeholder.setAttribute('data-image-src', src);
+        placeholder.setAttribute('data-image-alt', alt);
+        placeholder.textContent = `[Image${alt ? ': ' + alt : ''}]`;
+        const picture = img.closest('picture');
+        (picture || img).replaceWith(placeholder);
+    });
+    source.querySelectorAll('picture source').forEach(el => el.remove());
+}
+
+// Fetch through systemXHR; rejects (and aborts) once the download passes maxBytes
+function fetchImageBlob(src, maxBytes) {
+    return new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest({ mozSystem: true });
+        xhr.open('GET', src, true);
+        xhr.responseType = 'blob';
+        xhr.timeout = REQUEST_TIMEOUT;
+        applyRequestHeaders(xhr, src);
+        let counted = 0;
+
+        const overLimit = (bytes) => maxBytes && bytes > maxBytes;
+        xhr.onreadystatechange = () => {
+            if (xhr.readyState === 2 && overLimit(parseInt(xhr.getResponseHeader('Content-Length'), 10))) {
+                xhr.abort();
+                reject(new Error('too-large'));
+            }
+        };
+        xhr.onprogress = (e) => {
+            sessionImageBytes += e.loaded - counted;
+            counted = e.loaded;
+            if (overLimit(e.loaded)) {
+                xhr.abort();
+                reject(new Error('too-large'));
+            }
+        };
+        xhr.onload = () => {
+            const blob = xhr.response;
+            if (blob) sessionImageBytes += Math.max(0, blob.size - counted);
+            const type = (xhr.getResponseHeader('Content-Type') || (blob && blob.type) || '').toLowerCase();
+            if (xhr.status >= 200 && xhr.status < 300 && blob && type.startsWith('image/')) {
+                resolve(blob);
+            } else {
+                reject(new Error('not-an-image'));
+            }
+        };
+        xhr.onerror = () => reject(new Error('network'));
+        xhr.ontimeout = () => reject(new Error('timeout'));
+        xhr.send();
+    });
+}
+
+// Decode via a data: URL (allowed by the CSP) and redraw no wider than the reader
+function downscaleImage(blob) {
+    return new Promise((resolve, reject) => {
+        const fileReader = new FileReader();
+        fileReader.onerror = () => reject(fileReader.error);
+        fileReader.onload = () => {
+            const image = new Image();
+            image.onerror = () => reject(new Error('decode'));
+            image.onload = () => {
+                const reader = document.getElementById('reader');
+                const maxWidth = Math.max(100, (reader && reader.clientWidth ? reader.clientWidth - 20 : window.innerWidth) || 220);
+                if (image.naturalWidth <= maxWidth) {
+                    resolve(fileReader.result);
+                    return;
+                }
+                const scale = maxWidth / image.naturalWidth;
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(image.naturalWidth * scale);
+                canvas.height = Math.round(image.naturalHeight * scale);
+                canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+                resolve(canvas.toDataURL('image/jpeg', 0.8));
+            };
+            image.src = fileReader.result;
+        };
+        fileReader.readAsDataURL(blob);
+    });
+}
+
+// Replace one placeholder with its image; maxBytes is only set for automatic loads
+async function loadImagePlaceholder(placeholder, maxBytes = 0) {
+    if (!placeholder || placeholder.classList.contains('image-loading')) return;
+    const src = placeholder.getAttribute('data-image-src');
+    const alt = placeholder.getAttribute('data-image-alt') || '';
+    const label = placeholder.textContent;
+    placeholder.classList.add('image-loading');
+    if (!maxBytes) placeholder.textContent = '[Loading image...]';
+
+    try {
+        const dataUrl = await downscaleImage(await fetchImageBlob(src, maxBytes));
+        if (!placeholder.isConnected) return;
+        const img = document.createElement('img');
+        img.className = 'reader-image';
+        img.alt = alt;
+        img.src = dataUrl;
+        const wasSelected = placeholder.classList.contains('link-selected');
+        placeholder.replaceWith(img);
+        if (wasSelected) clearLinkSelection();
+    } catch (e) {
+        if (!placeholder.isConnected) return;
+        placeholder.classList.remove('image-loading');
+        if (e.message === 'too-large') {
+            placeholder.textContent = label.replace(/\]$/, ` · over ${Math.round(maxBytes / 1024)} KB]`);
+        } else {
+            placeholder.textContent = label;
+            if (!maxBytes) showNotification('Image failed to load', true);
+        }
+    }
+}
+
+// Auto mode: load small images one at a time while the page is still current
+async function autoLoadImages(generation) {
+    const placeholders = Array.from(document.querySelectorAll('#reader .image-placeholder')).slice(0, MAX_AUTO_IMAGES);
+    const maxBytes = getImageAutoLimitKb() * 1024;
+    for (const placeholder of placeholders) {
+        if (generation !== imageLoadGeneration) return;
+        await loadImagePlaceholder(placeholder, maxBytes);
+    }
+}
+
+// --- SESSION HISTORY (BACK / FORWARD) ---
+function captureSessionEntry() {
+    const reader = document.getElementById('reader');
+    return {
+        url: currUrl,
+        title: currTitle,
+        scrollTop: reader ? reader.scrollTop : 0,
+        linkIndex: selectedLinkIndex
+    };
+}
+
+function pushSessionEntry(stack, entry) {
+    if (!entry.url) return;
+    stack.push(entry);
+    // Limit history size to prevent memory issues
+    if (stack.length > MAX_HISTORY) {
+        stack.shift();
+    }
+}
+
+function restoreSessionPosition(entry) {
+    const reader = document.getElementById('reader');
+    if (entry.linkIndex >= 0) {
+        try { selectLink(entry.linkIndex); } catch (e) { }
+    }
+    // Scroll last so the saved position wins over link centering
+    reader.scrollTop = entry.scrollTop || 0;
+}
+
+function goBack() {
+    if (isLoading || historyStack.length === 0) return Promise.resolve(false);
+    return moveThroughHistory(historyStack, forwardStack);
+}
+
+function goForward() {
+    if (isLoading) return Promise.resolve(false);
+    if (forwardStack.length === 0) {
+        showNotification('No page to go forward to', true);
+        return Promise.resolve(false);
+    }
+    return moveThroughHistory(forwardStack, historyStack);
+}
+
+// Load the top entry of `from`; the stacks only change once that page is shown,
+// so a failed or refused load leaves history as it was
+async function moveThroughHistory(from, to) {
+    const entry = from[from.length - 1];
+    const current = captureSessionEntry();
+    const loaded = await loadPage(entry.url, true, { restore: entry });
+    if (loaded && from[from.length - 1] === entry) {
+        from.pop();
+        pushSessionEntry(to, current);
+        saveSession();
+    }
+    return loaded;
+}
+
+function saveSession() {
+    syncActiveTab();
+    setSafeLocalStorage('lastVisitedUrl', currUrl);
+    const session = {
+        activeTab: activeTabIndex,
+        tabs: tabs.map(tab => ({ back: tab.back, forward: tab.forward, current: tab.current }))
+    };
+    setSafeLocalStorage('session', JSON.stringify(session));
+}
+
+// Returns the active tab's entry to reload, or null when there is no usable saved session
+function restoreSession() {
+    let session;
+    try {
+        session = JSON.parse(getSafeLocalStorage('session', 'null'));
+    } catch (e) {
+        console.error('Session parsing error:', e);
+        return null;
+    }
+    if (!session) return null;
+
+    // Sessions saved before tabs existed hold a single back/forward/current set
+    const savedTabs = Array.isArray(session.tabs) ? session.tabs : [session];
+    const valid = (entry) => entry && typeof entry.url === 'string' && entry.url;
+
+    tabs = savedTabs.slice(0, MAX_TABS).map(saved => createTab(
+        (Array.isArray(saved.back) ? saved.back.filter(valid) : []).slice(-MAX_HISTORY),
+        (Array.isArray(saved.forward) ? saved.forward.filter(valid) : []).slice(-MAX_HISTORY),
+        valid(saved.current) ? saved.current : null
+    ));
+    if (tabs.length === 0) tabs = [createTab()];
+    activeTabIndex = Math.min(Math.max(parseInt(session.activeTab, 10) || 0, 0), tabs.length - 1);
+
+    const tab = tabs[activeTabIndex];
+    historyStack = tab.back;
+    forwardStack = tab.forward;
+    return tab.current;
+}
+
+// --- OFFLINE READING LIST (IndexedDB) ---
+const DB_NAME = 'violoncello';
+const DB_VERSION = 2; // 2: feedItems
+let dbPromise = null;
+
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+            reject(new Error('IndexedDB unavailable'));
+            return;
+        }
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains('savedPages')) {
+                db.createObjectStore('savedPages', { keyPath: 'url' });
+            }
+            if (!db.objectStoreNames.contains('feedItems')) {
+                const feedItems = db.createObjectStore('feedItems', { keyPath: 'id' });
+                feedItems.createIndex('feedUrl', 'feedUrl', { unique: false });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    // Allow a retry after a failed open
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+}
+
+// Run one object store request inside its own transaction; resolves with the request result
+function runStoreRequest(storeName, mode, operation) {
+    return openDatabase().then(db => new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const request = operation(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(request ? request.result : undefined);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    }));
+}
+
+function getSavedPage(url) {
+    return runStoreRequest('savedPages', 'readonly', store => store.get(url));
+}
+
+function getAllSavedPages() {
+    return runStoreRequest('savedPages', 'readonly', store => store.getAll())
+        .then(pages => (pages || []).sort((a, b) => b.savedAt - a.savedAt));
+}
+
+function putSavedPage(page) {
+    return runStoreRequest('savedPages', 'readwrite', store => store.put(page));
+}
+
+function deleteSavedPage(url) {
+    return runStoreRequest('savedPages', 'readwrite', store => store.delete(url));
+}
+
+async function saveCurrentPageOffline() {
+    if (!currUrl) {
+        showNotification('Cannot save the default homepage', true);
+        return;
+    }
+    const reader = document.getElementById('reader');
+    if (reader.querySelector('#error-box')) {
+        showNotification('Page did not load - nothing to save', true);
+        return;
+    }
+    // Re-saving a saved copy must not stack its banner
+    const copy = reader.cloneNode(true);
+    copy.querySelectorAll('.offline-banner').forEach(el => el.remove());
+    const html = copy.innerHTML;
+    try {
+        await putSavedPage({
+            url: currUrl,
+            title: currTitle || currUrl,
+            html,
+            savedAt: Date.now(),
+            read: false,
+            size: html.length * 2 // UTF-16 estimate
+        });
+        showNotification('Saved for offline reading');
+    } catch (e) {
+        console.error('Save offline error:', e);
+        showNotification('Failed to save page - storage may be full', true);
+    }
+}
+
+// Render a saved copy in the reader as a regular navigation
+async function openSavedPage(url) {
+    if (isLoading) return;
+    let page;
+    try {
+        page = await getSavedPage(url);
+    } catch (e) {
+        console.error('Open saved page error:', e);
+    }
+    if (!page) {
+        showNotification('Saved copy not found', true);
+        return;
+    }
+
+    showStoredPage(page, 'Saved copy from ' + new Date(page.savedAt).toLocaleString());
+    if (!page.read) {
+        page.read = true;
+        putSavedPage(page).catch(() => { });
+    }
+}
+
+// Show already-sanitized `page.html` in the reader as a regular navigation, under a banner
+function showStoredPage(page, bannerText) {
+    const url = page.url;
+    leaveCurrentPage();
+
+    // A failed loadPage() has already pushed the current page
+    const lastEntry = historyStack[historyStack.length - 1];
+    if (currUrl !== "" && currUrl !== url && !(lastEntry && lastEntry.url === currUrl)) {
+        pushSessionEntry(historyStack, captureSessionEntry());
+        forwardStack = [];
+    }
+
+    const reader = document.getElementById('reader');
+    reader.innerHTML = `<div class="offline-banner">${escapeHtml(bannerText)}</div>` + page.html;
+    reader.scrollTo(0, 0);
+    try {
+        setupLinkInteractions();
+    } catch (e) {
+        console.warn('Link setup failed:', e);
+    }
+
+    currUrl = page.url;
+    currentEncoding = ''; // Saved copies are stored already decoded
+    applySiteAppearance(page.url);
+    currTitle = page.title;
+    currentOpenSearchUrl = '';
+    currentFeedLinks = [];
+    currentNextPageUrl = '';
+    document.getElementById('url-input').value = page.url;
+    saveSession();
+    reader.focus();
+    updateSoftkeyLabels();
+}
+
+// After a failed load, add a link to the saved copy of the page if there is one
+// urls: addresses the failed page is known by; each is also tried without its #fragment
+async function offerSavedCopy(urls) {
+    const candidates = [];
+    urls.forEach(url => {
+        if (!url) return;
+        [url, stripFragment(url)].forEach(candidate => {
+            if (!candidates.includes(candidate)) candidates.push(candidate);
+        });
+    });
+    let page = null;
+    for (const candidate of candidates) {
+        try {
+            page = await getSavedPage(candidate);
+        } catch (e) {
+            return;
+        }
+        if (page) break;
+    }
+    const box = document.getElementById('error-box');
+    if (!page || !box) return;
+
+    const offer = document.createElement('p');
+    offer.className = 'offline-offer';
+    const link = document.createElement('a');
+    link.className = 'kai-link';
+    link.setAttribute('tabindex', '0');
+    link.setAttribute('data-saved-url', page.url);
+    link.textContent = 'Open saved copy (' + new Date(page.savedAt).toLocaleDateString() + ')';
+    offer.appendChild(link);
+    box.appendChild(offer);
+    setupLinkInteractions();
+    updateSoftkeyLabels();
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return bytes + ' B';
+    if (bytes < 1024 * 1024) return Math.round(bytes / 1024) + ' KB';
+    return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+}
+
+async function showReadingList() {
+    const menu = document.getElementById('option-menu');
+    let pages = [];
+    try {
+        pages = await getAllSavedPages();
+    } catch (e) {
+        console.error('Reading list error:', e);
+        showNotification('Offline storage unavailable', true);
+        resetMainMenu();
+        return;
+    }
+    if (!isMenuOpen) return;
+
+    const used = pages.reduce((total, page) => total + (page.size || 0), 0);
+    let usage = `${pages.length} saved, ${formatBytes(used)}`;
+    try {
+        if (navigator.storage && navigator.storage.estimate) {
+            const estimate = await navigator.storage.estimate();
+            if (estimate && estimate.quota) usage += ` (${formatBytes(estimate.usage || 0)} of ${formatBytes(estimate.quota)} used)`;
+        }
+    } catch (e) {
+        // estimate() is optional
+    }
+
+    let html = '<div class="menu-item" tabindex="0" data-action="main-menu">← Back to Main Menu</div>';
+    html += `<div class="menu-heading">${escapeHtml(usage)}</div>`;
+
+    if (pages.length === 0) {
+        html += '<div class="menu-item" tabindex="0" data-action="main-menu" style="opacity:0.6;">No saved pages.</div>';
+    } else {
+        pages.forEach(page => {
+            const unread = page.read ? '' : '• ';
+            html += `<div class="menu-item" tabindex="0" data-action="open-saved" data-url="${escapeHtml(page.url)}">${unread}${escapeHtml(page.title)}<br><small>${escapeHtml(new Date(page.savedAt).toLocaleDateString())} · ${formatBytes(page.size || 0)}</small></div>`;
+            html += `<div class="menu-item" tabindex="0" data-action="toggle-saved-read" data-url="${escapeHtml(page.url)}">[Mark ${page.read ? 'Unread' : 'Read'}]</div>`;
+            html += `<div class="menu-item menu-delete" tabindex="0" data-action="delete-saved" data-url="${escapeHtml(page.url)}">[Delete Item]</div>`;
+        });
+    }
+
+    menu.innerHTML = html;
+    setTimeout(() => {
+        const first = menu.querySelector('.menu-item');
+        if (first) first.focus();
+    }, 50);
+}
+
+// --- FEED SUBSCRIPTIONS ---
+// Subscriptions live in localStorage under 'feedSubscriptions' as [{ url, title, addedAt, lastRefreshed, failed }];
+// their items are kept in the 'feedItems' store so they stay readable offline.
+const MAX_FEED_ITEMS = 50; // Per feed, newest first as the feed lists them
+const FEED_LAUNCH_REFRESH_INTERVAL = 30 * 60 * 1000;
+const FEED_LINK_TYPES = ['application/rss+xml', 'application/atom+xml'];
+let isRefreshingFeeds = false;
+
+function findFeedLinks(doc, baseUrl) {
+    const feeds = [];
+    doc.querySelectorAll('link[rel~="alternate"][type][href]').forEach(link => {
+        if (!FEED_LINK_TYPES.includes(link.getAttribute('type').toLowerCase().trim())) return;
+        try {
+            const feedUrl = new URL(link.getAttribute('href'), baseUrl);
+            if ((feedUrl.protocol === 'http:' || feedUrl.protocol === 'https:') && !feeds.some(feed => feed.url === feedUrl.href)) {
+                feeds.push({ url: feedUrl.href, title: (link.getAttribute('title') || '').trim() });
+            }
+        } catch (e) { }
+    });
+    return feeds;
+}
+
+function getFeedSubscriptions() {
+    try {
+        const subscriptions = JSON.parse(getSafeLocalStorage('feedSubscriptions', "[]"));
+        return Array.isArray(subscriptions) ? subscriptions.filter(sub => sub && typeof sub.url === 'string') : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+function saveFeedSubscriptions(subscriptions) {
+    return setSafeLocalStorage('feedSubscriptions', JSON.stringify(subscriptions));
+}
+
+function getFeedItem(id) {
+    return runStoreRequest('feedItems', 'readonly', store => store.get(id));
+}
+
+function getAllFeedItems() {
+    return runStoreRequest('feedItems', 'readonly', store => store.getAll()).then(items => items || []);
+}
+
+function getFeedItems(feedUrl) {
+    return runStoreRequest('feedItems', 'readonly', store => store.index('feedUrl').getAll(feedUrl))
+        .then(items => (items || []).sort((a, b) => a.order - b.order));
+}
+
+function putFeedItem(item) {
+    return runStoreRequest('feedItems', 'readwrite', store => store.put(item));
+}
+
+// Write a feed's current items and drop the ones it no longer lists, in one transaction
+function replaceFeedItems(items, staleIds) {
+    return runStoreRequest('feedItems', 'readwrite', store => {
+        staleIds.forEach(id => store.delete(id));
+        let request = null;
+        items.forEach(item => { request = store.put(item); });
+        return request;
+    });
+}
+
+async function fetchFeed(url) {
+    const xhr = new XMLHttpRequest({ mozSystem: true });
+    xhr.open('GET', url, true);
+    xhr.timeout = REQUEST_TIMEOUT;
+    xhr.responseType = 'arraybuffer';
+    applyRequestHeaders(xhr, url);
+
+    const bytes = await new Promise((resolve, reject) => {
+        xhr.onload = () => (xhr.status >= 200 && xhr.status < 300) ? resolve(xhr.response) : reject(new Error('HTTP ' + xhr.status));
+        xhr.onerror = () => reject(new Error('Network error'));
+        xhr.ontimeout = () => reject(new Error('Timeout'));
+        xhr.send();
+    });
+    const decoded = decodeResponse(bytes, xhr.getResponseHeader('Content-Type'), url);
+    const feed = parseFeed(decoded.text, xhr.responseURL || url);
+    if (!feed) throw new Error('Not a feed');
+    return feed;
+}
+
+// Fetch one feed and store its items, keeping read state; resolves with { title, newItems }
+async function refreshFeed(feedUrl) {
+    const feed = await fetchFeed(feedUrl);
+    const existing = await getFeedItems(feedUrl);
+    const known = new Map(existing.map(item => [item.id, item]));
+    const now = Date.now();
+
+    const items = [];
+    feed.items.forEach(item => {
+        const id = feedUrl + ' ' + (item.id || item.link || item.title);
+        if (items.length >= MAX_FEED_ITEMS || items.some(other => other.id === id)) return;
+        const previous = known.get(id);
+        items.push({
+            id,
+            feedUrl,
+            title: item.title,
+            link: item.link,
+            date: item.date,
+            summary: item.summary,
+            content: item.content,
+            read: previous ? previous.read : false,
+            fetchedAt: previous ? previous.fetchedAt : now,
+            order: items.length
+        });
+    });
+
+    const staleIds = existing.filter(item => !items.some(current => current.id === item.id)).map(item => item.id);
+    await replaceFeedItems(items, staleIds);
+    return { title: feed.title, newItems: items.filter(item => !known.has(item.id)).length };
+}
+
+async function subscribeToFeed(feedUrl, title) {
+    const subscriptions = getFeedSubscriptions();
+    if (subscriptions.some(sub => sub.url === feedUrl)) {
+        showNotification('Already subscribed');
+        return false;
+    }
+    showNotification('Subscribing...');
+
+    let result;
+    try {
+        result = await refreshFeed(feedUrl);
+    } catch (e) {
+        console.error('Subscribe error:', e);
+        showNotification('Could not read this feed', true);
+        return false;
+    }
+    const now = Date.now();
+    subscriptions.push({ url: feedUrl, title: result.title || title || feedUrl, addedAt: now, lastRefreshed: now, failed: false });
+    saveFeedSubscriptions(subscriptions);
+    showNotification('Subscribed to ' + (result.title || title || 'feed'));
+    return true;
+}
+
+async function unsubscribeFeed(feedUrl) {
+    saveFeedSubscriptions(getFeedSubscriptions().filter(sub => sub.url !== feedUrl));
+    try {
+        const items = await getFeedItems(feedUrl);
+        await replaceFeedItems([], items.map(item => item.id));
+    } catch (e) {
+        console.error('Unsubscribe cleanup error:', e);
+    }
+}
+
+// Refresh every subscription one at a time; resolves with { newItems, failed } or null if already running
+async function refreshAllFeeds() {
+    if (isRefreshingFeeds) return null;
+    isRefreshingFeeds = true;
+    let newItems = 0;
+    let failed = 0;
+    try {
+        for (const sub of getFeedSubscriptions()) {
+            try {
+                const result = await refreshFeed(sub.url);
+                newItems += result.newItems;
+                sub.title = result.title || sub.title;
+                sub.lastRefreshed = Date.now();
+                sub.failed = false;
+            } catch (e) {
+                console.warn('Feed refresh failed:', sub.url, e);
+                sub.failed = true;
+                failed++;
+            }
+            // Re-read so subscriptions changed while refreshing are kept
+            saveFeedSubscriptions(getFeedSubscriptions().map(current => current.url === sub.url ? sub : current));
+        }
+        setSafeLocalStorage('feedsLastRefreshed', String(Date.now()));
+    } finally {
+        isRefreshingFeeds = false;
+    }
+    return { newItems, failed };
+}
+
+function refreshFeedsOnLaunch() {
+    if (getFeedSubscriptions().length === 0 || navigator.onLine === false) return;
+    const lastRefreshed = parseInt(getSafeLocalStorage('feedsLastRefreshed', '0'), 10) || 0;
+    if (Date.now() - lastRefreshed < FEED_LAUNCH_REFRESH_INTERVAL) return;
+    refreshAllFeeds().catch(e => console.warn('Feed refresh failed:', e));
+}
+
+function markFeedRead(feedUrl) {
+    return getFeedItems(feedUrl).then(items => replaceFeedItems(
+        items.filter(item => !item.read).map(item => Object.assign(item, { read: true })), []));
+}
+
+// The stored item as a reader page, sanitized like any loaded page
+function buildFeedItemHtml(item) {
+    const doc = new DOMParser().parseFromString(item.content || `<p>${escapeHtml(item.summary || '')}</p>`, 'text/html');
+    applyCosmeticFilters(doc.body, item.link || item.feedUrl);
+    doc.body.querySelectorAll(READER_JUNK_SELECTOR).forEach(el => el.remove());
+    sanitizeElements(doc.body, item.link || item.feedUrl);
+
+    let html = `<h1>${escapeHtml(item.title || 'Untitled')}</h1>`;
+    if (item.date) html += `<p class="feed-meta">${escapeHtml(formatFeedDate(item.date))}</p>`;
+    return html + doc.body.innerHTML;
+}
+
+// Open the item's page when online, falling back to the copy stored at refresh time
+async function openFeedItem(id) {
+    if (isLoading) return;
+    let item;
+    try {
+        item = await getFeedItem(id);
+    } catch (e) {
+        console.error('Open feed item error:', e);
+    }
+    if (!item) {
+        showNotification('Feed item not found', true);
+        return;
+    }
+    if (!item.read) {
+        item.read = true;
+        putFeedItem(item).catch(() => { });
+    }
+
+    if (item.link && navigator.onLine !== false && await loadPage(item.link)) return;
+
+    const subscription = getFeedSubscriptions().find(sub => sub.url === item.feedUrl);
+    const feedTitle = subscription ? subscription.title : 'feed';
+    showStoredPage({ url: item.link || item.feedUrl, title: item.title || feedTitle, html: buildFeedItemHtml(item) },
+        `Offline copy from ${feedTitle}`);
+}
+
+function showFeedChooser() {
+    const menu = document.getElementById('option-menu');
+    let html = '<div class="menu-item" tabindex="0" data-action="main-menu">← Back to Main Menu</div>';
+    html += '<div class="menu-heading">Choose a feed</div>';
+    currentFeedLinks.forEach(feed => {
+        html += `<div class="menu-item" tabindex="0" data-action="subscribe-feed" data-url="${escapeHtml(feed.url)}">${escapeHtml(feed.title || feed.url)}</div>`;
+    });
+    menu.innerHTML = html;
+    focusMenuItem('[data-action="subscribe-feed"]');
+}
+
+async function showFeeds() {
+    const menu = document.getElementById('option-menu');
+    const subscriptions = getFeedSubscriptions();
+    let items = [];
+    try {
+        items = await getAllFeedItems();
+    } catch (e) {
+        console.error('Feeds error:', e);
+        showNotification('Offline storage unavailable', true);
+        resetMainMenu();
+        return;
+    }
+    if (!isMenuOpen) return;
+
+    let html = '<div class="menu-item" tabindex="0" data-action="main-menu">← Back to Main Menu</div>';
+    if (subscriptions.length === 0) {
+        html += '<div class="menu-item" tabindex="0" data-action="main-menu" style="opacity:0.6;">No feeds yet. Use "Subscribe to Feed" on a site that has one.</div>';
+    } else {
+        html += `<div class="menu-item" tabindex="0" data-action="refresh-feeds">${isRefreshingFeeds ? 'Refreshing...' : '↻ Refresh All'}</div>`;
+        subscriptions.forEach(sub => {
+            const unread = items.filter(item => item.feedUrl === sub.url && !item.read).length;
+            const status = sub.failed ? ' ⚠' : '';
+            html += `<div class="menu-item" tabindex="0" data-action="open-feed" data-url="${escapeHtml(sub.url)}">${escapeHtml(sub.title || sub.url)} (${unread})${status}</div>`;
+        });
+    }
+
+    menu.innerHTML = html;
+    focusMenuItem(subscriptions.length ? '[data-action="open-feed"]' : null);
+}
+
+async function showFeedItems(feedUrl) {
+    const menu = document.getElementById('option-menu');
+    const subscription = getFeedSubscriptions().find(sub => sub.url === feedUrl);
+    let items = [];
+    try {
+        items = await getFeedItems(feedUrl);
+    } catch (e) {
+        console.error('Feed items error:', e);
+        showNotification('Offline storage unavailable', true);
+        showFeeds();
+        return;
+    }
+    if (!isMenuOpen) return;
+
+    let html = '<div class="menu-item" tabindex="0" data-action="view-feeds">← Back to Feeds</div>';
+    html += `<div class="menu-heading">${escapeHtml(subscription ? subscription.title : feedUrl)}</div>`;
+    if (items.length === 0) {
+        html += '<div class="menu-item" tabindex="0" data-action="view-feeds" style="opacity:0.6;">No items.</div>';
+    }
+    items.forEach(item => {
+        const unread = item.read ? '' : '• ';
+        const date = item.date ? `<br><small>${escapeHtml(formatFeedDate(item.date))}</small>` : '';
+        html += `<div class="menu-item" tabindex="0" data-action="open-feed-item" data-id="${escapeHtml(item.id).replace(/"/g, '&quot;')}">${unread}${escapeHtml(item.title || item.link || 'Untitled')}${date}</div>`;
+    });
+    if (items.some(item => !item.read)) {
+        html += `<div class="menu-item" tabindex="0" data-action="feed-mark-read" data-url="${escapeHtml(feedUrl)}">[Mark All Read]</div>`;
+    }
+    html += `<div class="menu-item menu-delete" tabindex="0" data-action="unsubscribe-feed" data-url="${escapeHtml(feedUrl)}">[Unsubscribe]</div>`;
+
+    menu.innerHTML = html;
+    focusMenuItem(items.length ? '[data-action="open-feed-item"]' : null);
+}
+
+// --- TABS ---
+function createTab(back = [], forward = [], current = null) {
+    return { id: Date.now() + '-' + Math.random().toString(36).slice(2, 7), back, forward, current };
+}
+
+// Copy the live globals into the active tab record
+function syncActiveTab() {
+    if (tabs.length === 0) tabs = [createTab()];
+    const tab = tabs[activeTabIndex];
+    tab.back = historyStack;
+    tab.forward = forwardStack;
+    tab.current = currUrl ? captureSessionEntry() : null;
+}
+
+// Make tabs[index] live: swap its stacks into the globals and (re)load its page
+function activateTab(index) {
+    activeTabIndex = index;
+    const tab = tabs[index];
+    historyStack = tab.back;
+    forwardStack = tab.forward;
+    // Point at the tab's page right away so the switcher shows it while it loads
+    currUrl = tab.current ? tab.current.url : '';
+    currTitle = tab.current ? tab.current.title : '';
+    clearLinkSelection();
+
+    if (tab.current) {
+        loadPage(tab.current.url, true, { restore: tab.current });
+    } else {
+        showWelcome();
+        saveSession();
+    }
+}
+
+function switchToTab(index) {
+    if (isLoading || index === activeTabIndex || !tabs[index]) return;
+    syncActiveTab();
+    activateTab(index);
+}
+
+function openInNewTab(url) {
+    if (isLoading) return;
+    if (tabs.length >= MAX_TABS) {
+        showNotification(`Tab limit reached (${MAX_TABS}). Close a tab first.`, true);
+        return;
+    }
+    syncActiveTab();
+    tabs.push(createTab());
+    activateTab(tabs.length - 1);
+    if (url) loadPage(url);
+}
+
+function closeTab(index) {
+    if (isLoading || !tabs[index]) return;
+    syncActiveTab();
+
+    if (tabs.length === 1) {
+        // Closing the last tab leaves a fresh, empty one
+        tabs = [createTab()];
+        activateTab(0);
+        return;
+    }
+
+    tabs.splice(index, 1);
+    if (index === activeTabIndex) {
+        activateTab(Math.min(index, tabs.length - 1));
+    } else {
+        if (index < activeTabIndex) activeTabIndex--;
+        saveSession();
+    }
+}
+
+function showTabs() {
+    const menu = document.getElementById('option-menu');
+    syncActiveTab();
+
+    let html = '<div class="menu-item" tabindex="0" data-action="main-menu">← Back to Main Menu</div>';
+    tabs.forEach((tab, index) => {
+        const mark = index === activeTabIndex ? '✓ ' : '';
+        const title = tab.current ? (tab.current.title || tab.current.url) : 'New Tab';
+        html += `<div class="menu-item" tabindex="0" data-action="switch-tab" data-index="${index}">${mark}${escapeHtml(title)}</div>`;
+        html += `<div class="menu-item menu-delete" tabindex="0" data-action="close-tab" data-index="${index}">[Close Tab]</div>`;
+    });
+    if (tabs.length < MAX_TABS) {
+        html += '<div class="menu-item" tabindex="0" data-action="new-tab">+ New Tab</div>';
+    }
+
+    menu.innerHTML = html;
+    setTimeout(() => {
+        const current = menu.querySelector(`[data-action="switch-tab"][data-index="${activeTabIndex}"]`) || menu.querySelector('.menu-item');
+        if (current) current.focus();
+    }, 50);
+}
+
+// --- ERROR DISPLAY FUNCTION ---
+function showError(message) {
+    const reader = document.getElementById('reader');
+    reader.innerHTML = `
+        <div id="error-box" style="padding: 20px; text-align: center; color: #ff6000;">
+            <p style="font-size: 18px; margin-bottom: 15px;"><b>⚠ Error</b></p>
+            <p style="font-size: 14px; line-height: 1.6;">${escapeHtml(message)}</p>
+            <p style="font-size: 12px; color: #aaa; margin-top: 20px;">Press BACK to go back</p>
+        </div>
+    `;
+}
+
+// --- WELCOME SCREEN ---
+function showWelcome() {
+    leaveCurrentPage();
+    applySiteAppearance('');
+    const reader = document.getElementById('reader');
+    reader.innerHTML = `
+        <div style="padding: 20px 20px; text-align: center;">
+            <p style="font-size: 24px; margin-bottom: 5px;"><b>Violoncello</b></p>
+            <p style="font-size: 16px; line-height: 1.6; margin-bottom: 30px; color: #999;">
+                Text Browser
+            </p>
+            <p style="font-size: 18px; margin-bottom: 5px; font-weight: bold;">
+                Get Started
+            </p>
+            <p style="font-size: 14px; color: #aaa; line-height: 1.6;">
+                Press <b>Left Key</b> to enter a URL<br>or search the web.
+            </p>
+            <p style="font-size: 12px; color: #666; margin-top: 10px; line-height: 1.4;">
+                Navigate with D-Pad arrows<br>
+                Scroll with Volume buttons<br>
+                Press Right Key for menu
+            </p>
+        </div>
+    `;
+    currUrl = '';
+    currTitle = '';
+    currentOpenSearchUrl = '';
+    currentFeedLinks = [];
+    currentNextPageUrl = '';
+}
+
+// --- LINK SELECTION HELPERS ---
+function clearLinkSelection() {
+    const prev = document.querySelector('#reader .link-selected');
+    if (prev) {
+        prev.classList.remove('link-selected');
+        try { prev.blur(); } catch (e) { }
+    }
+    selectedLinkIndex = -1;
+    updateSoftkeyLabels();
+}
+
+function selectLink(index) {
+    const links = getSortedLinks();
+    if (!links || links.length === 0) return;
+    index = ((index % links.length) + links.length) % links.length;
+    clearLinkSelection();
+    const link = links[index];
+    if (!link) return;
+    link.classList.add('link-selected');
+    try { link.focus(); } catch (e) { }
+    scrollReaderToElement(link);
+    selectedLinkIndex = index;
+    updateSoftkeyLabels();
+}
+
+function scrollReaderToElement(target) {
+    try {
+        // Scroll within the reader container to keep the element visible without moving page under fixed UI
+        const reader = document.getElementById('reader');
+        if (reader) {
+            // Use offsetTop to get position relative to scrollable content (not viewport)
+            let el = target;
+            let top = 0;
+            while (el && el !== reader) {
+                top += el.offsetTop;
+                el = el.offsetParent;
+            }
+            // Center element in viewport with padding at top
+            const targetScroll = Math.max(0, top - (reader.clientHeight / 3));
+            const maxScroll = reader.scrollHeight - reader.clientHeight;
+            reader.scrollTop = Math.min(targetScroll, maxScroll);
+        } else {
+            target.scrollIntoView({ block: 'nearest' });
+        }
+    } catch (e) {
+        try { target.scrollIntoView(false); } catch (err) { }
+    }
+}
+
+function setupLinkInteractions() {
+    clearLinkSelection();
+    // Normalize all anchors inside the reader: ensure they have the kai-link class
+    // and are keyboard-focusable. This guards against pages where class addition
+    // may have failed during sanitization or parsing.
+    const anchors = Array.from(document.querySelectorAll('#reader a'));
+    anchors.forEach((l) => {
+        if (!l.classList.contains('kai-link')) l.classList.add('kai-link');
+        l.setAttribute('tabindex', '0');
+    });
+}
+
+// Returns links and form fields in reading order (both are D-Pad targets)
+function getSortedLinks() {
+    const links = Array.from(document.querySelectorAll('#reader a.kai-link, #reader .kai-field'))
+        .filter(l => !l.closest('#reader .hidden')); // e.g. collapsed JSON branches
+    // Map to rects and sort top->left for consistent D-Pad navigation
+    const mapped = links.map(l => {
+        const r = l.getBoundingClientRect ? l.getBoundingClientRect() : { top: 0, left: 0 };
+        return { el: l, top: Math.round(r.top), left: Math.round(r.left) };
+    });
+
+    // If getBoundingClientRect returned identical values (e.g., in non-layout environments),
+    // fall back to data attributes `data-top` and `data-left` when present.
+    const allZeroTop = mapped.every(m => m.top === 0);
+    if (allZeroTop) {
+        const fallback = links.map(l => {
+            const t = parseInt(l.getAttribute('data-top') || l.dataset.top || '0', 10) || 0;
+            const left = parseInt(l.getAttribute('data-left') || l.dataset.left || '0', 10) || 0;
+            return { el: l, top: t, left };
+        });
+        fallback.sort((a, b) => (a.top - b.top) || (a.left - b.left));
+        return fallback.map(f => f.el);
+    }
+
+    mapped.sort((a, b) => (a.top - b.top) || (a.left - b.left));
+    return mapped.map(m => m.el);
+}
+
+// --- HELPERS: Nearest link selection relative to reader viewport ---
+function findNearestLinkIndex(direction, linksParam) {
+    // Use provided links array if available to avoid double-sorting on DOM changes
+    const links = linksParam || getSortedLinks();
+    if (!links || links.length === 0) return -1;
+    const reader = document.getElementById('reader');
+    if (!reader) return 0;
+    const readerRect = reader.getBoundingClientRect();
+    const viewportCenter = readerRect.top + (reader.clientHeight / 2);
+
+    let bestIndex = -1;
+    let bestScore = Infinity;
+    for (let i = 0; i < links.length; i++) {
+        const r = links[i].getBoundingClientRect();
+        const linkCenter = r.top + (r.height / 2);
+        const delta = linkCenter - viewportCenter;
+        // Prefer links in the requested direction; give them better score
+        let score = Math.abs(delta);
+        if (direction === 'down' && delta >= 0) score *= 0.5;
+        if (direction === 'up' && delta <= 0) score *= 0.5;
+        if (score < bestScore) {
+            bestScore = score;
+            bestIndex = i;
+        }
+    }
+    return bestIndex;
+}
+
+// --- FORM RENDERING & SUBMISSION ---
+const TEXT_INPUT_TYPES = ['text', 'search', 'email', 'url', 'tel', 'number', 'password', 'date', 'time', 'month', 'week', 'datetime-local'];
+
+// Replace every <form> in the scraped source with an inert <div class="kai-form"> holding
+// freshly built fields. Only names, values and labels survive; scripts and handlers never do.
+function sanitizeForms(source, pageUrl) {
+    const doc = source.ownerDocument;
+
+    // Controls outside of a form cannot be submitted anywhere
+    source.querySelectorAll('input, select, textarea, button').forEach(el => {
+        if (!el.closest('form')) el.remove();
+    });
+
+    source.querySelectorAll('form').forEach(form => {
+        let action = pageUrl;
+        try {
+            const resolved = new URL(form.getAttribute('action') || pageUrl, pageUrl);
+            if (resolved.protocol !== 'http:' && resolved.protocol !== 'https:') {
+                form.remove();
+                return;
+            }
+            action = resolved.href;
+        } catch (e) {
+            form.remove();
+            return;
+        }
+
+        const method = (form.getAttribute('method') || 'get').toLowerCase() === 'post' ? 'POST' : 'GET';
+        const wrapper = doc.createElement('div');
+        wrapper.className = 'kai-form';
+        wrapper.setAttribute('data-form-action', action);
+        wrapper.setAttribute('data-form-method', method);
+
+        form.querySelectorAll('input, select, textarea, button').forEach(control => {
+            const replacement = buildFormField(doc, control, form);
+            if (replacement) {
+                control.replaceWith(replacement);
+            } else {
+                control.remove();
+            }
+        });
+
+        while (form.firstChild) wrapper.appendChild(form.firstChild);
+        form.replaceWith(wrapper);
+    });
+}
+
+function getFieldLabel(control, form) {
+    const id = control.getAttribute('id');
+    if (id) {
+        const label = Array.from(form.querySelectorAll('label')).find(l => l.getAttribute('for') === id);
+        if (label && label.textContent.trim()) return '';
+    }
+    if (control.closest('label')) return '';
+    return (control.getAttribute('aria-label') || control.getAttribute('placeholder') ||
+        control.getAttribute('title') || control.getAttribute('name') || '').trim();
+}
+
+function buildFormField(doc, control, form) {
+    const tag = control.tagName;
+    const name = control.getAttribute('name') || '';
+    const disabled = control.hasAttribute('disabled');
+
+    if (tag === 'INPUT') {
+        const type = (control.getAttribute('type') || 'text').toLowerCase();
+
+        if (type === 'hidden') {
+            if (!name) return null;
+            const hidden = doc.createElement('input');
+            hidden.type = 'hidden';
+            hidden.name = name;
+            hidden.value = control.getAttribute('value') || '';
+            return hidden;
+        }
+
+        if (TEXT_INPUT_TYPES.includes(type)) {
+            const container = doc.createElement('div');
+            container.className = 'input-container';
+            const labelText = getFieldLabel(control, form);
+            if (labelText) {
+                const label = doc.createElement('label');
+                label.className = 'input-container__label';
+                label.textContent = labelText;
+                container.appendChild(label);
+            }
+            const input = doc.createElement('input');
+            input.type = type;
+            input.name = name;
+            input.className = 'input-container__input kai-field';
+            input.setAttribute('value', control.getAttribute('value') || '');
+            const placeholder = control.getAttribute('placeholder');
+            if (placeholder) input.placeholder = placeholder;
+            const maxLength = parseInt(control.getAttribute('maxlength'), 10);
+            if (maxLength > 0) input.maxLength = maxLength;
+            if (disabled) input.disabled = true;
+            input.setAttribute('tabindex', '0');
+            container.appendChild(input);
+            return container;
+        }
+
+        if (type === 'checkbox' || type === 'radio') {
+            const container = doc.createElement('span');
+            container.className = type + '-container';
+            const input = doc.createElement('input');
+            input.type = type;
+            input.name = name;
+            input.className = type + '-container__input kai-field';
+            input.value = control.hasAttribute('value') ? control.getAttribute('value') : 'on';
+            input.checked = control.hasAttribute('checked');
+            if (input.checked) input.setAttribute('checked', '');
+            if (disabled) input.disabled = true;
+            input.setAttribute('tabindex', '0');
+            container.appendChild(input);
+            const labelText = getFieldLabel(control, form);
+            if (labelText && labelText !== name) {
+                const text = doc.createElement('span');
+                text.className = type + '-container__text';
+                text.textContent = ' ' + labelText;
+                container.appendChild(text);
+            }
+            return container;
+        }
+
+        if (type === 'submit' || type === 'image') {
+            return buildSubmitButton(doc, name, control.getAttribute('value') || control.getAttribute('alt') || 'Submit', disabled);
+        }
+
+        // file, range, color, reset, button: need scripts or pickers we do not support
+        return null;
+    }
+
+    if (tag === 'BUTTON') {
+        const type = (control.getAttribute('type') || 'submit').toLowerCase();
+        if (type !== 'submit') return null;
+        const label = control.textContent.trim().replace(/\s+/g, ' ') || control.getAttribute('aria-label') || 'Submit';
+        const btn = buildSubmitButton(doc, name, label, disabled);
+        btn.setAttribute('data-value', control.getAttribute('value') || '');
+        return btn;
+    }
+
+    if (tag === 'SELECT') {
+        if (control.hasAttribute('multiple')) return null;
+        const container = doc.createElement('div');
+        container.className = 'input-container';
+        const labelText = getFieldLabel(control, form);
+        if (labelText) {
+            const label = doc.createElement('label');
+            label.className = 'input-container__label';
+            label.textContent = labelText;
+            container.appendChild(label);
+        }
+        const select = doc.createElement('select');
+        select.name = name;
+        select.className = 'input-container__input kai-field';
+        if (disabled) select.disabled = true;
+        select.setAttribute('tabindex', '0');
+        control.querySelectorAll('option').forEach(opt => {
+            const option = doc.createElement('option');
+            option.textContent = opt.textContent.trim();
+            option.value = opt.hasAttribute('value') ? opt.getAttribute('value') : opt.textContent.trim();
+            if (opt.hasAttribute('selected')) option.setAttribute('selected', '');
+            if (opt.hasAttribute('disabled')) option.disabled = true;
+            select.appendChild(option);
+        });
+        container.appendChild(select);
+        return container;
+    }
+
+    if (tag === 'TEXTAREA') {
+        const container = doc.createElement('div');
+        container.className = 'textarea-container';
+        const labelText = getFieldLabel(control, form);
+        if (labelText) {
+            const label = doc.createElement('label');
+            label.className = 'textarea-container__label';
+            label.textContent = labelText;
+            container.appendChild(label);
+        }
+        const textarea = doc.createElement('textarea');
+        textarea.name = name;
+        textarea.className = 'textarea-container__textarea kai-field';
+        textarea.textContent = control.textContent;
+        if (disabled) textarea.disabled = true;
+        textarea.setAttribute('tabindex', '0');
+        container.appendChild(textarea);
+        return container;
+    }
+
+    return null;
+}
+
+function buildSubmitButton(doc, name, label, disabled) {
+    const btn = doc.createElement('button');
+    btn.setAttribute('type', 'button');
+    btn.className = 'kai-form-submit kai-field';
+    btn.setAttribute('data-name', name);
+    btn.setAttribute('data-value', label);
+    btn.setAttribute('tabindex', '0');
+    if (disabled) btn.disabled = true;
+    btn.textContent = label;
+    return btn;
+}
+
+// Collect field values in document order, as a browser would for application/x-www-form-urlencoded
+function serializeForm(formEl, submitter) {
+    const params = new URLSearchParams();
+    formEl.querySelectorAll('input, select, textarea').forEach(field => {
+        if (!field.name || field.disabled) return;
+        if ((field.type === 'checkbox' || field.type === 'radio') && !field.checked) return;
+        params.append(field.name, field.value);
+    });
+    if (submitter && submitter.getAttribute('data-name')) {
+        params.append(submitter.getAttribute('data-name'), submitter.getAttribute('data-value') || '');
+    }
+    return params;
+}
+
+function submitForm(formEl, submitter) {
+    if (!formEl) return;
+    // Implicit submission (Enter in a text field) behaves like pressing the first submit button
+    if (!submitter) submitter = formEl.querySelector('.kai-form-submit:not([disabled])');
+
+    const params = serializeForm(formEl, submitter);
+    const action = formEl.getAttribute('data-form-action');
+    const method = formEl.getAttribute('data-form-method');
+
+    try {
+        if (method === 'POST') {
+            loadPage(action, false, { method: 'POST', body: params.toString() });
+        } else {
+            const target = new URL(action);
+            target.search = params.toString();
+            target.hash = '';
+            loadPage(target.href);
+        }
+    } catch (e) {
+        showNotification('Could not submit form', true);
+    }
+}
+
+// Enter on the selected reader item: follow links, edit or submit form fields
+function activateReaderItem(item) {
+    if (!item) return;
+    if (item.tagName === 'A') {
+        followLink(item);
+        return;
+    }
+    if (item.disabled) return;
+
+    const formEl = item.closest('.kai-form');
+    if (item.classList.contains('kai-form-submit')) {
+        submitForm(formEl, item);
+    } else if (item.type === 'checkbox') {
+        item.checked = !item.checked;
+    } else if (item.type === 'radio') {
+        item.checked = true;
+    } else if (item.tagName === 'INPUT') {
+        submitForm(formEl, null);
+    }
+    updateSoftkeyLabels();
+}
+
+// Saved-copy links open from IndexedDB; everything else goes through loadPage()
+function followLink(link) {
+    const savedUrl = link.getAttribute('data-saved-url');
+    if (link.hasAttribute('data-image-src')) {
+        loadImagePlaceholder(link);
+    } else if (link.hasAttribute('data-input-url')) {
+        promptForInput({ label: link.getAttribute('data-input-label'), sensitive: link.hasAttribute('data-input-sensitive') },
+            link.getAttribute('data-input-url'));
+    } else if (link.hasAttribute('data-json-toggle')) {
+        toggleJsonNode(link);
+    } else if (savedUrl) {
+        openSavedPage(savedUrl);
+    } else if (link.href && currUrl && link.href.includes('#') && stripFragment(link.href) === stripFragment(currUrl)) {
+        // Same-page fragment: scroll instead of reloading
+        if (!scrollToFragment(link.href.slice(link.href.indexOf('#') + 1))) showNotification('Section not found on this page', true);
+    } else if (link.href && !isNavigationBlocked(link.href)) {
+        loadPage(link.href);
+    }
+}
+
+function isEditableField(el) {
+    return !!el && (el.tagName === 'TEXTAREA' || (el.tagName === 'INPUT' && TEXT_INPUT_TYPES.includes(el.type)));
+}
+
+// --- FIND IN PAGE ---
+const MAX_FIND_MATCHES = 500; // Keeps highlighting fast on long pages
+
+function openFind() {
+    openPrompt('Find in page', findQuery, (query) => {
+        if (query) runFind(query);
+    });
+}
+
+// Wrap every case-insensitive occurrence of `query` in the reader with <mark class="find-match">
+function runFind(query) {
+    endFind();
+    clearLinkSelection();
+    findQuery = query;
+
+    const reader = document.getElementById('reader');
+    const needle = query.toLowerCase();
+    const walker = document.createTreeWalker(reader, NodeFilter.SHOW_TEXT, {
+        acceptNode: (node) => node.parentElement && node.parentElement.closest('select, textarea, option, .offline-banner')
+            ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT
+    });
+
+    const textNodes = [];
+    while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+    for (const node of textNodes) {
+        if (findMatches.length >= MAX_FIND_MATCHES) break;
+        const text = node.nodeValue;
+        const lower = text.toLowerCase();
+        let pos = lower.indexOf(needle);
+        if (pos === -1) continue;
+
+        const frag = document.createDocumentFragment();
+        let last = 0;
+        while (pos !== -1 && findMatches.length < MAX_FIND_MATCHES) {
+            if (pos > last) frag.appendChild(document.createTextNode(text.slice(last, pos)));
+            const mark = document.createElement('mark');
+            mark.className = 'find-match';
+            mark.textContent = text.slice(pos, pos + needle.length);
+            frag.appendChild(mark);
+            findMatches.push(mark);
+            last = pos + needle.length;
+            pos = lower.indexOf(needle, last);
+        }
+        if (last < text.length) frag.appendChild(document.createTextNode(text.slice(last)));
+        node.parentNode.replaceChild(frag, node);
+    }
+
+    if (findMatches.length === 0) {
+        showNotification(`No matches for "${query}"`, true);
+        updateSoftkeyLabels();
+        return;
+    }
+    isFindActive = true;
+    goToFindMatch(findMatches.findIndex(mark => isBelowReaderTop(mark)));
+}
+
+// First match at or below the current scroll position, so find starts where the user is reading
+function isBelowReaderTop(el) {
+    const reader = document.getElementById('reader');
+    return el.getBoundingClientRect().top >= reader.getBoundingClientRect().top;
+}
+
+function goToFindMatch(index) {
+    if (findMatches.length === 0) return;
+    if (index < 0) index = 0;
+    index = ((index % findMatches.length) + findMatches.length) % findMatches.length;
+    if (findIndex !== -1 && findMatches[findIndex]) findMatches[findIndex].classList.remove('find-current');
+    findIndex = index;
+    findMatches[index].classList.add('find-current');
+    scrollReaderToElement(findMatches[index]);
+    updateSoftkeyLabels();
+}
+
+// Remove highlights (if any) and leave find mode
+function endFind() {
+    const hadMatches = findMatches.length > 0;
+    findMatches.forEach(mark => {
+        if (mark.parentNode) mark.replaceWith(document.createTextNode(mark.textContent));
+    });
+    if (hadMatches) document.getElementById('reader').normalize();
+    findMatches = [];
+    findIndex = -1;
+    if (isFindActive) {
+        isFindActive = false;
+        updateSoftkeyLabels();
+    }
+}
+
+// --- LINK HINTS ---
+// Numbers every link and field in view; typing one opens it, holding the last digit opens the
+// link menu (new tab, copy, share) instead. Labels share one length so no label prefixes another.
+const MAX_LINK_HINTS = 99;
+const LONG_PRESS_DELAY = 600; // ms
+
+function startLinkHints() {
+    const reader = document.getElementById('reader');
+    const readerRect = reader.getBoundingClientRect();
+    const visible = getSortedLinks().filter(el => {
+        const r = el.getBoundingClientRect();
+        return (r.width > 0 || r.height > 0) && r.bottom > readerRect.top && r.top < readerRect.bottom;
+    }).slice(0, MAX_LINK_HINTS);
+    if (visible.length === 0) {
+        showNotification('No links in view', true);
+        return;
+    }
+
+    endFind();
+    clearLinkSelection();
+    const container = document.getElementById('link-hints');
+    container.innerHTML = '';
+    const width = String(visible.length).length;
+    linkHints = visible.map((el, index) => {
+        const label = String(index + 1).padStart(width, '0');
+        const r = el.getBoundingClientRect();
+        const badge = document.createElement('span');
+        badge.className = 'link-hint';
+        badge.textContent = label;
+        badge.style.left = Math.max(0, Math.round(r.left)) + 'px';
+        badge.style.top = Math.max(0, Math.round(r.top)) + 'px';
+        container.appendChild(badge);
+        return { el, label, badge };
+    });
+    linkHintInput = '';
+    isLinkHintsActive = true;
+    container.classList.remove('hidden');
+    // Labels are placed for the current scroll position
+    reader.addEventListener('scroll', endLinkHints);
+    updateSoftkeyLabels();
+}
+
+function typeLinkHintDigit(digit) {
+    if (linkHintPress) return;
+    const input = linkHintInput + digit;
+    const matches = linkHints.filter(hint => hint.label.startsWith(input));
+    if (matches.length === 0) return;
+    linkHintInput = input;
+    linkHints.forEach(hint => hint.badge.classList.toggle('link-hint-dimmed', !hint.label.startsWith(input)));
+
+    const hint = matches.find(match => match.label === input);
+    if (hint) {
+        // Decided on key release: a short press opens, a long one shows link actions
+        linkHintPress = { hint, timer: setTimeout(() => finishLinkHintPress(true), LONG_PRESS_DELAY) };
+    }
+    updateSoftkeyLabels();
+}
+
+function finishLinkHintPress(isLongPress) {
+    if (!linkHintPress) return;
+    const item = linkHintPress.hint.el;
+    endLinkHints();
+    if (!document.getElementById('reader').contains(item)) return;
+
+    if (item.tagName === 'A' && !isLongPress) {
+        followLink(item);
+    } else {
+        // Fields are selected for typing; a long-pressed link is selected for the menu's link actions
+        selectLink(getSortedLinks().indexOf(item));
+        if (isLongPress && item.tagName === 'A' && item.href) openMenu();
+    }
+}
+
+function endLinkHints() {
+    if (linkHintPress) clearTimeout(linkHintPress.timer);
+    linkHintPress = null;
+    if (!isLinkHintsActive) return;
+    isLinkHintsActive = false;
+    linkHints = [];
+    linkHintInput = '';
+    const container = document.getElementById('link-hints');
+    container.classList.add('hidden');
+    container.innerHTML = '';
+    document.getElementById('reader').removeEventListener('scroll', endLinkHints);
+    updateSoftkeyLabels();
+}
+
+function copyText(text) {
+    const field = document.createElement('textarea');
+    field.value = text;
+    document.body.appendChild(field);
+    field.select();
+    let copied = false;
+    try {
+        copied = document.execCommand('copy');
+    } catch (e) { }
+    field.remove();
+    return copied;
+}
+
+function shareUrl(url) {
+    if (typeof MozActivity === 'undefined') {
+        showNotification('Sharing is not available', true);
+        return;
+    }
+    const activity = new MozActivity({ name: 'share', data: { type: 'url', url } });
+    activity.onerror = () => console.warn('Share cancelled');
+}
+
+// --- CONTENTS OUTLINE ---
+// h1-h4 plus the headings and sections the page's own #fragment links point at, in document order.
+// 'headingJump' makes Left/Right move between them instead of scrolling wide tables.
+let outlineEntries = []; // { el, level, text } for the Contents screen being shown
+let outlineCache = null; // { entries, targets } for the reader content; dropped when it changes
+let outlineObserver = null;
+
+function isHeadingJumpEnabled() {
+    return getSafeLocalStorage('headingJump', 'false') === 'true';
+}
+
+function stripFragment(url) {
+    return (url || '').split('#')[0];
+}
+
+// Outline and fragment targets of the reader, built once per page and reused until the reader changes
+function getReaderOutline() {
+    if (outlineCache) return outlineCache;
+    const reader = document.getElementById('reader');
+
+    // id / <a name> -> element; the first one wins, as in browsers
+    const targets = new Map();
+    reader.querySelectorAll('[id], a[name]').forEach(el => {
+        [el.getAttribute('id'), el.tagName === 'A' ? el.getAttribute('name') : null].forEach(id => {
+            if (id && !targets.has(id)) targets.set(id, el);
+        });
+    });
+
+    const visible = el => !el.closest('#reader .hidden, #reader .offline-banner');
+    const entries = Array.from(reader.querySelectorAll('h1, h2, h3, h4'))
+        .filter(el => visible(el) && el.textContent.trim())
+        .map(el => ({ el, level: parseInt(el.tagName.charAt(1), 10), text: el.textContent.trim().replace(/\s+/g, ' ') }));
+    const included = new Set(entries.map(entry => entry.el));
+
+    // Headings and sections reached from in-page links (e.g. a site's own table of contents).
+    // Targets inside lists are footnotes and references, which would drown the outline.
+    const page = stripFragment(currUrl);
+    reader.querySelectorAll('a.kai-link[href*="#"]').forEach(link => {
+        const href = link.getAttribute('href');
+        if (stripFragment(href) !== page) return;
+        let target = targets.get(decodeFragment(href.slice(href.indexOf('#') + 1)));
+        if (!target || target.closest('li, dl')) return;
+        target = target.closest('h1, h2, h3, h4, h5, h6, section, article');
+        const text = link.textContent.trim().replace(/\s+/g, ' ');
+        if (!target || !text || included.has(target) || !visible(link) || !visible(target)) return;
+        const heading = /^(SECTION|ARTICLE)$/.test(target.tagName) ? target.querySelector('h1, h2, h3, h4') : null;
+        if (heading && included.has(heading)) return;
+        included.add(target);
+        entries.push({ el: target, level: 4, text });
+    });
+    entries.sort((a, b) => a.el.compareDocumentPosition(b.el) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1);
+
+    const outline = { entries, targets };
+    // Without MutationObserver there is no way to know when to rebuild, so nothing is cached
+    if (typeof MutationObserver !== 'undefined') {
+        if (!outlineObserver) {
+            outlineObserver = new MutationObserver(() => {
+                outlineCache = null;
+            });
+            outlineObserver.observe(reader, { childList: true, subtree: true });
+        }
+        outlineCache = outline;
+    }
+    return outline;
+}
+
+function decodeFragment(fragment) {
+    try {
+        return decodeURIComponent(fragment);
+    } catch (e) {
+        return fragment;
+    }
+}
+
+// The reader element a fragment (without "#") points at
+function findFragmentTarget(fragment) {
+    return getReaderOutline().targets.get(decodeFragment(fragment)) || null;
+}
+
+function getOutlineEntries() {
+    return getReaderOutline().entries;
+}
+
+// Scroll to a fragment of the current page; false when there is no such target
+function scrollToFragment(fragment) {
+    const reader = document.getElementById('reader');
+    if (!fragment || fragment.toLowerCase() === 'top') {
+        reader.scrollTo(0, 0);
+        return true;
+    }
+    const target = findFragmentTarget(fragment);
+    if (!target) return false;
+    clearLinkSelection();
+    scrollReaderToElement(target);
+    return true;
+}
+
+// Move to the heading after (1) or before (-1) the one at the reading line
+function jumpToHeading(direction) {
+    const entries = getOutlineEntries();
+    const reader = document.getElementById('reader');
+    const readerRect = reader.getBoundingClientRect();
+    // scrollReaderToElement() leaves targets a third of the way down
+    const line = readerRect.top + reader.clientHeight / 3;
+    const tops = entries.map(entry => entry.el.getBoundingClientRect().top);
+    let index = -1;
+    if (direction > 0) {
+        index = tops.findIndex(top => top > line + 2);
+    } else {
+        for (let i = tops.length - 1; i >= 0; i--) {
+            if (tops[i] < line - 2) {
+                index = i;
+                break;
+            }
+        }
+    }
+    if (index === -1) {
+        showNotification(direction > 0 ? 'No more headings' : 'No earlier headings');
+        return;
+    }
+    clearLinkSelection();
+    scrollReaderToElement(entries[index].el);
+}
+
+function showContents(focusSelector = null) {
+    const menu = document.getElementById('option-menu');
+    const reader = document.getElementById('reader');
+    outlineEntries = getOutlineEntries();
+    let html = '<div class="menu-item" tabindex="0" data-action="main-menu">← Back to Main Menu</div>';
+    html += `<div class="menu-item" tabindex="0" data-action="toggle-heading-jump">Left/Right: ${isHeadingJumpEnabled() ? 'HEADINGS' : 'TABLES'}</div>`;
+    if (outlineEntries.length === 0) {
+        html += '<div class="menu-heading">No headings on this page</div>';
+    }
+    // Focus the section being read
+    const line = reader.getBoundingClientRect().top + reader.clientHeight / 3;
+    let currentIndex = 0;
+    outlineEntries.forEach((entry, index) => {
+        if (entry.el.getBoundingClientRect().top <= line) currentIndex = index;
+        html += `<div class="menu-item outline-level-${entry.level}" tabindex="0" data-action="go-to-heading" data-index="${index}">${escapeHtml(entry.text)}</div>`;
+    });
+    menu.innerHTML = html;
+    focusMenuItem(focusSelector || `[data-action="go-to-heading"][data-index="${currentIndex}"]`);
+}
+
+// --- READ ALOUD ---
+// Speaks the reader block by block with speechSynthesis. Rate and voice (a voiceURI) are
+// stored under 'readAloudRate' and 'readAloudVoice'.
+const READ_ALOUD_BLOCKS = 'p, h1, h2, h3, h4, h5, h6, li, blockquote, pre, dt, dd, figcaption, td, th';
+const READ_ALOUD_RATES = ['0.75', '1', '1.25', '1.5', '2'];
+const MAX_UTTERANCE_LENGTH = 400; // Long blocks are split at sentence ends; some engines cut off long text
+// Only explicit labels: bare arrows and "more" too often lead to galleries, menus or comments
+const NEXT_LINK_PATTERN = /^(next( page)?(\s*[›»→>])?|older (posts|entries)(\s*[›»→>])?)$/i;
+
+function getReadAloudRate() {
+    const rate = getSafeLocalStorage('readAloudRate', '1');
+    return READ_ALOUD_RATES.includes(rate) ? rate : '1';
+}
+
+function getReadAloudVoice() {
+    const voiceUri = getSafeLocalStorage('readAloudVoice', '');
+    return voiceUri ? speechSynthesis.getVoices().find(voice => voice.voiceURI === voiceUri) || null : null;
+}
+
+// Outermost readable blocks with text, in document order
+function getReadAloudBlocks() {
+    const reader = document.getElementById('reader');
+    return Array.from(reader.querySelectorAll(READ_ALOUD_BLOCKS)).filter(el =>
+        el.textContent.trim() &&
+        !el.closest('#reader .hidden, #reader .offline-banner') &&
+        !(el.parentElement && el.parentElement.closest(READ_ALOUD_BLOCKS)));
+}
+
+// The page's "next" link: <link rel="next">, then a rel="next" anchor, then a link labelled "Next"
+function findNextPageUrl(doc, baseUrl) {
+    const relNext = doc.querySelector('link[rel~="next"][href], a[rel~="next"][href]');
+    if (relNext) {
+        try {
+            return resolveUrl(relNext.getAttribute('href'), baseUrl);
+        } catch (e) { }
+    }
+    const labelled = Array.from(doc.querySelectorAll('a[href]')).find(a =>
+        NEXT_LINK_PATTERN.test(a.textContent.trim().replace(/\s+/g, ' ')) || NEXT_LINK_PATTERN.test((a.getAttribute('aria-label') || '').trim()));
+    if (!labelled) return '';
+    try {
+        return resolveUrl(labelled.getAttribute('href'), baseUrl);
+    } catch (e) {
+        return '';
+    }
+}
+
+// Split text into pieces no longer than MAX_UTTERANCE_LENGTH, preferring sentence ends
+function splitUtteranceText(text) {
+    const pieces = [];
+    let rest = text.replace(/\s+/g, ' ').trim();
+    while (rest.length > MAX_UTTERANCE_LENGTH) {
+        const head = rest.slice(0, MAX_UTTERANCE_LENGTH);
+        let cut = Math.max(head.lastIndexOf('. '), head.lastIndexOf('! '), head.lastIndexOf('? '));
+        if (cut < MAX_UTTERANCE_LENGTH / 2) cut = head.lastIndexOf(' ');
+        if (cut <= 0) cut = MAX_UTTERANCE_LENGTH - 1;
+        pieces.push(rest.slice(0, cut + 1).trim());
+        rest = rest.slice(cut + 1).trim();
+    }
+    if (rest) pieces.push(rest);
+    return pieces;
+}
+
+// Start reading at the first block in view
+function startReadAloud() {
+    if (!('speechSynthesis' in window)) {
+        showNotification('Speech is not available on this device', true);
+        return;
+    }
+    endFind();
+    clearLinkSelection();
+    readAloudBlocks = getReadAloudBlocks();
+    if (readAloudBlocks.length === 0) {
+        showNotification('Nothing to read on this page', true);
+        return;
+    }
+    const reader = document.getElementById('reader');
+    const readerTop = reader.getBoundingClientRect().top;
+    const firstVisible = readAloudBlocks.findIndex(block => block.getBoundingClientRect().bottom > readerTop);
+    isReadingAloud = true;
+    speakReadAloudBlock(reader.scrollTop > 0 && firstVisible !== -1 ? firstVisible : 0);
+}
+
+function speakReadAloudBlock(index) {
+    const generation = ++readAloudGeneration;
+    speechSynthesis.cancel();
+    isReadAloudPaused = false;
+    if (readAloudBlocks[readAloudIndex]) readAloudBlocks[readAloudIndex].classList.remove('read-aloud-current');
+
+    if (index >= readAloudBlocks.length) {
+        continueReadAloudOnNextPage();
+        return;
+    }
+    index = Math.max(0, index);
+    const block = readAloudBlocks[index];
+    // The reader was replaced (tab switch, saved page, ...)
+    if (!document.getElementById('reader').contains(block)) {
+        stopReadAloud();
+        return;
+    }
+    readAloudIndex = index;
+    block.classList.add('read-aloud-current');
+    scrollReaderToElement(block);
+    updateSoftkeyLabels();
+
+    const pieces = splitUtteranceText(block.textContent);
+    const voice = getReadAloudVoice();
+    pieces.forEach((piece, pieceIndex) => {
+        const utterance = new SpeechSynthesisUtterance(piece);
+        utterance.rate = parseFloat(getReadAloudRate());
+        if (voice) {
+            utterance.voice = voice;
+            utterance.lang = voice.lang;
+        }
+        if (pieceIndex === pieces.length - 1) {
+            utterance.onend = () => {
+                if (generation === readAloudGeneration && isReadingAloud) speakReadAloudBlock(index + 1);
+            };
+        }
+        utterance.onerror = (event) => {
+            // cancel() reports the dropped utterances as errors
+            if (generation !== readAloudGeneration || event.error === 'interrupted' || event.error === 'canceled') return;
+            stopReadAloud();
+            showNotification('Speech failed', true);
+        };
+        speechSynthesis.speak(utterance);
+    });
+}
+
+// Load the page's "next" link and keep reading there, or stop at the end
+function continueReadAloudOnNextPage() {
+    const nextUrl = currentNextPageUrl;
+    stopReadAloud();
+    if (!nextUrl || nextUrl === currUrl || isNavigationBlocked(nextUrl)) {
+        showNotification('Finished reading');
+        return;
+    }
+    showNotification('Continuing on the next page');
+    loadPage(nextUrl).then(loaded => {
+        if (loaded) startReadAloud();
+    });
+}
+
+function toggleReadAloudPause() {
+    if (isReadAloudPaused) {
+        speechSynthesis.resume();
+        isReadAloudPaused = false;
+    } else {
+        speechSynthesis.pause();
+        isReadAloudPaused = true;
+    }
+    updateSoftkeyLabels();
+}
+
+function stopReadAloud() {
+    if (!isReadingAloud) return;
+    isReadingAloud = false;
+    isReadAloudPaused = false;
+    readAloudGeneration++;
+    speechSynthesis.cancel();
+    if (readAloudBlocks[readAloudIndex]) readAloudBlocks[readAloudIndex].classList.remove('read-aloud-current');
+    readAloudBlocks = [];
+    readAloudIndex = -1;
+    updateSoftkeyLabels();
+}
+
+function showSpeechSettings(focusSelector = null) {
+    const menu = document.getElementById('option-menu');
+    const voices = 'speechSynthesis' in window ? speechSynthesis.getVoices() : [];
+    const current = getSafeLocalStorage('readAloudVoice', '');
+    let html = '<div class="menu-item" tabindex="0" data-action="main-menu">← Back to Main Menu</div>';
+    html += `<div class="menu-item" tabindex="0" data-action="cycle-speech-rate">Speed: ${getReadAloudRate()}x</div>`;
+    html += '<div class="menu-heading">Voice</div>';
+    html += `<div class="menu-item" tabindex="0" data-action="set-speech-voice" data-voice=""${current ? '' : ' data-current'}>${current ? '' : '✓ '}Default</div>`;
+    voices.forEach(voice => {
+        const isCurrent = voice.voiceURI === current;
+        html += `<div class="menu-item" tabindex="0" data-action="set-speech-voice" data-voice="${escapeHtml(voice.voiceURI).replace(/"/g, '&quot;')}"${isCurrent ? ' data-current' : ''}>${isCurrent ? '✓ ' : ''}${escapeHtml(voice.name)}<br><small>${escapeHtml(voice.lang)}</small></div>`;
+    });
+    menu.innerHTML = html;
+    focusMenuItem(focusSelector);
+}
+
+// --- HTML ESCAPE FOR SECURITY ---
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+// Short unique id for stored items, e.g. createId('b') for a bookmark
+function createId(prefix) {
+    return prefix + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+// --- BROWSING HISTORY ---
+function isHistoryEnabled() {
+    return getSafeLocalStorage('historyEnabled', 'true') === 'true';
+}
+
+function getBrowsingHistory() {
+    try {
+        const list = JSON.parse(getSafeLocalStorage('browsingHistory', "[]"));
+        return Array.isArray(list) ? list : [];
+    } catch (e) {
+        console.error('History parsing error:', e);
+        setSafeLocalStorage('browsingHistory', "[]");
+        return [];
+    }
+}
+
+function saveBrowsingHistory(list) {
+    return setSafeLocalStorage('browsingHistory', JSON.stringify(list));
+}
+
+// Most recent visit first; one entry per URL with a running visit count
+function recordHistoryVisit(url, title) {
+    if (!isHistoryEnabled() || !url) return;
+    const list = getBrowsingHistory();
+    const existingIndex = list.findIndex(entry => entry.url === url);
+    const entry = existingIndex !== -1 ? list.splice(existingIndex, 1)[0] : { url, title: '', visitCount: 0 };
+
+    entry.title = (title || entry.title || '').substring(0, 150);
+    entry.lastVisit = Date.now();
+    entry.visitCount = (entry.visitCount || 0) + 1;
+    list.unshift(entry);
+
+    if (list.length > MAX_HISTORY_ENTRIES) list.length = MAX_HISTORY_ENTRIES;
+    if (!saveBrowsingHistory(list)) {
+        // Quota exceeded: drop the oldest half and try once more
+        list.length = Math.floor(list.length / 2);
+        saveBrowsingHistory(list);
+    }
+}
+
+// range: 'hour' | 'day' | 'all'
+function clearBrowsingHistory(range) {
+    if (range === 'all') {
+        return saveBrowsingHistory([]);
+    }
+    const cutoff = Date.now() - (range === 'hour' ? 60 * 60 * 1000 : 24 * 60 * 60 * 1000);
+    return saveBrowsingHistory(getBrowsingHistory().filter(entry => entry.lastVisit < cutoff));
+}
+
+function getHistoryDayLabel(timestamp) {
+    const date = new Date(timestamp);
+    const today = new Date();
+    const yesterday = new Date();
+    yesterday.setDate(today.getDate() - 1);
+    if (date.toDateString() === today.toDateString()) return 'Today';
+    if (date.toDateString() === yesterday.toDateString()) return 'Yesterday';
+    return date.toLocaleDateString();
+}
+
+function renderHistoryResults(query) {
+    const results = document.getElementById('history-results');
+    if (!results) return;
+
+    const q = (query || '').trim().toLowerCase();
+    const matches = getBrowsingHistory().filter(entry => !q ||
+        entry.url.toLowerCase().includes(q) || (entry.title || '').toLowerCase().includes(q));
+
+    if (matches.length === 0) {
+        results.innerHTML = `<div class="menu-heading">${q ? 'No matching pages.' : 'No history yet.'}</div>`;
+        return;
+    }
+
+    let html = '';
+    let lastDay = '';
+    matches.slice(0, HISTORY_DISPLAY_LIMIT).forEach(entry => {
+        const day = getHistoryDayLabel(entry.lastVisit);
+        if (day !== lastDay) {
+            html += `<div class="menu-heading">${escapeHtml(day)}</div>`;
+            lastDay = day;
+        }
+        const time = new Date(entry.lastVisit).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        const visits = entry.visitCount > 1 ? ` ×${entry.visitCount}` : '';
+        html += `<div class="menu-item" tabindex="0" data-action="load-history" data-url="${escapeHtml(entry.url)}">${escapeHtml(entry.title || entry.url)}<br><small>${escapeHtml(time)}${visits}</small></div>`;
+        html += `<div class="menu-item menu-delete" tabindex="0" data-action="delete-history" data-url="${escapeHtml(entry.url)}">[Delete Item]</div>`;
+    });
+    if (matches.length > HISTORY_DISPLAY_LIMIT) {
+        html += `<div class="menu-heading">Showing ${HISTORY_DISPLAY_LIMIT} of ${matches.length}. Type to search.</div>`;
+    }
+    results.innerHTML = html;
+}
+
+function showHistory(query = '') {
+    const menu = document.getElementById('option-menu');
+    const enabled = isHistoryEnabled();
+
+    menu.innerHTML = `
+        <div class="menu-item" tabindex="0" data-action="main-menu">← Back to Main Menu</div>
+        <input type="text" class="menu-item menu-search" id="history-search" tabindex="0" data-action="history-search" placeholder="Search history..." />
+        <div class="menu-item" tabindex="0" data-action="history-toggle">Record History: ${enabled ? 'ON' : 'OFF'}</div>
+        <div class="menu-item menu-delete" tabindex="0" data-action="confirm-clear-history" data-range="hour">Clear Last Hour</div>
+        <div class="menu-item menu-delete" tabindex="0" data-action="confirm-clear-history" data-range="day">Clear Last Day</div>
+        <div class="menu-item menu-delete" tabindex="0" data-action="confirm-clear-history" data-range="all">CLEAR ALL</div>
+        <div id="history-results"></div>
+    `;
+
+    const search = document.getElementById('history-search');
+    search.value = query;
+    search.addEventListener('input', () => renderHistoryResults(search.value));
+    renderHistoryResults(query);
+
+    setTimeout(() => {
+        const first = menu.querySelector('.menu-item');
+        if (first) first.focus();
+    }, 50);
+}
+
+// --- SEARCH ENGINES ---
+// unwrap: redirect wrappers used on result pages; `param` holds the real destination
+// keyword: "w cello" (or "!w cello") searches that engine
+const BUILTIN_SEARCH_ENGINES = [
+    {
+        id: 'duckduckgo', name: 'DuckDuckGo', keyword: 'd',
+        template: 'https://duckduckgo.com/html/?q=%s',
+        unwrap: [{ host: 'duckduckgo.com', path: '/l/', param: 'uddg' }]
+    },
+    {
+        id: 'wikipedia', name: 'Wikipedia', keyword: 'w',
+        template: 'https://en.wikipedia.org/w/index.php?search=%s',
+        unwrap: []
+    },
+    {
+        id: 'mojeek', name: 'Mojeek', keyword: 'm',
+        template: 'https://www.mojeek.com/search?q=%s',
+        unwrap: []
+    }
+];
+
+function getCustomSearchEngines() {
+    try {
+        const list = JSON.parse(getSafeLocalStorage('customSearchEngines', "[]"));
+        return Array.isArray(list) ? list : [];
+    } catch (e) {
+        console.error('Search engines parsing error:', e);
+        setSafeLocalStorage('customSearchEngines', "[]");
+        return [];
+    }
+}
+
+function getSearchEngines() {
+    return BUILTIN_SEARCH_ENGINES.concat(getCustomSearchEngines());
+}
+
+function getActiveSearchEngine() {
+    const id = getSafeLocalStorage('searchEngine', 'duckduckgo');
+    return getSearchEngines().find(engine => engine.id === id) || BUILTIN_SEARCH_ENGINES[0];
+}
+
+// The first word of what was typed, lowercased and without a leading "!"; '' when nothing usable is left
+function normalizeSearchKeyword(keyword) {
+    const word = typeof keyword === 'string' ? keyword.trim().split(/\s+/)[0].replace(/^!+/, '') : '';
+    return word.toLowerCase().substring(0, 20);
+}
+
+function findEngineByKeyword(keyword, engines = getSearchEngines()) {
+    const k = normalizeSearchKeyword(keyword);
+    return k ? engines.find(engine => normalizeSearchKeyword(engine.keyword) === k) || null : null;
+}
+
+function buildSearchUrl(engine, query) {
+    return engine.template.split('%s').join(encodeURIComponent(query));
+}
+
+// Validate a user or OpenSearch supplied template: http(s) with a %s placeholder
+function isValidSearchTemplate(template) {
+    if (!template || !template.includes('%s')) return false;
+    try {
+        const parsed = new URL(template.split('%s').join('test'));
+        return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+    } catch (e) {
+        return false;
+    }
+}
+
+// A stored custom engine rebuilt from known fields, or null when its template is unusable
+function normalizeCustomSearchEngine(engine) {
+    if (!engine || typeof engine.template !== 'string' || !isValidSearchTemplate(engine.template)) return null;
+    return {
+        id: typeof engine.id === 'string' && /^custom-[\w-]+$/.test(engine.id) ? engine.id : 'custom-' + Date.now() + '-' + Math.floor(Math.random() * 1000),
+        name: (typeof engine.name === 'string' && engine.name.trim() ? engine.name.trim() : 'Custom').substring(0, 40),
+        keyword: normalizeSearchKeyword(engine.keyword),
+        template: engine.template,
+        unwrap: []
+    };
+}
+
+// Add a restored engine to `engines` unless its template is already there; a keyword that
+// another engine already answers to is dropped. Returns whether it was added.
+function addRestoredSearchEngine(engines, engine) {
+    const normalized = normalizeCustomSearchEngine(engine);
+    if (!normalized || engines.some(other => other.template === normalized.template)) return false;
+    if (findEngineByKeyword(normalized.keyword, BUILTIN_SEARCH_ENGINES.concat(engines))) normalized.keyword = '';
+    engines.push(normalized);
+    return true;
+}
+
+function addCustomSearchEngine(name, template, keyword) {
+    const engines = getCustomSearchEngines();
+    if (engines.some(engine => engine.template === template)) {
+        showNotification('Search engine already added', true);
+        return false;
+    }
+    const taken = findEngineByKeyword(keyword);
+    if (taken) {
+        showNotification(`Keyword already used by ${taken.name}`, true);
+        return false;
+    }
+    engines.push({
+        id: 'custom-' + Date.now(),
+        name: name.substring(0, 40),
+        keyword: normalizeSearchKeyword(keyword),
+        template,
+        unwrap: []
+    });
+    if (setSafeLocalStorage('customSearchEngines', JSON.stringify(engines))) {
+        showNotification('Search engine added');
+        return true;
+    }
+    showNotification('Storage full - engine may not save', true);
+    return false;
+}
+
+// Replace a known search redirect wrapper with the destination it points to
+function unwrapSearchRedirect(url) {
+    let parsedTemp;
+    try {
+        parsedTemp = new URL(url);
+    } catch (e) {
+        return url; // ignore URL parsing errors
+    }
+    const allowedProtocols = ['http:', 'https:', 'mailto:', 'ftp:'];
+
+    for (const engine of getSearchEngines()) {
+        for (const rule of (engine.unwrap || [])) {
+            if (!parsedTemp.hostname.includes(rule.host) || !parsedTemp.pathname.startsWith(rule.path)) continue;
+            const target = parsedTemp.searchParams.get(rule.param);
+            if (!target) continue;
+            try {
+                // Validate decoded URL to prevent javascript: or data: URI attacks
+                const parsed = new URL(target);
+                if (allowedProtocols.includes(parsed.protocol)) return parsed.href;
+            } catch (e) {
+                // If parsing fails, ignore the param and use original URL
+            }
+        }
+    }
+    return url;
+}
+
+// Fetch an OpenSearch description document and register its HTML search template
+async function addOpenSearchEngine(descriptionUrl) {
+    const xhr = new XMLHttpRequest({ mozSystem: true });
+    xhr.open('GET', descriptionUrl, true);
+    xhr.timeout = REQUEST_TIMEOUT;
+
+    let xmlString;
+    try {
+        xmlString = await new Promise((resolve, reject) => {
+            xhr.onload = () => (xhr.status >= 200 && xhr.status < 300) ? resolve(xhr.responseText) : reject();
+            xhr.onerror = () => reject();
+            xhr.ontimeout = () => reject();
+            xhr.send();
+        });
+    } catch (e) {
+        showNotification('Failed to fetch search engine', true);
+        return false;
+    }
+
+    const xml = new DOMParser().parseFromString(xmlString, 'application/xml');
+    const urls = Array.from(xml.getElementsByTagName('Url'));
+    const htmlUrl = urls.find(u => (u.getAttribute('type') || '').toLowerCase() === 'text/html' &&
+        (u.getAttribute('method') || 'get').toLowerCase() === 'get');
+    const shortName = xml.getElementsByTagName('ShortName')[0];
+
+    if (!htmlUrl) {
+        showNotification('No usable search URL found', true);
+        return false;
+    }
+
+    // {searchTerms} becomes %s; optional parameters are dropped, known required ones filled in
+    const template = (htmlUrl.getAttribute('template') || '')
+        .replace(/\{searchTerms\}/g, '%s')
+        .replace(/\{[^}]+\?\}/g, '')
+        .replace(/\{(startPage|startIndex)\}/g, '1')
+        .replace(/\{count\}/g, '20')
+        .replace(/\{(language|inputEncoding|outputEncoding)\}/g, (m, p) => p === 'language' ? '*' : 'UTF-8');
+
+    if (!isValidSearchTemplate(template) || /\{[^}]+\}/.test(template)) {
+        showNotification('Unsupported search engine format', true);
+        return false;
+    }
+
+    let name = shortName ? shortName.textContent.trim() : '';
+    if (!name) name = new URL(template.split('%s').join('')).hostname;
+    return addCustomSearchEngine(name, template, '');
+}
+
+function showSearchEngines() {
+    const menu = document.getElementById('option-menu');
+    const active = getActiveSearchEngine();
+
+    let html = '<div class="menu-item" tabindex="0" data-action="main-menu">← Back to Main Menu</div>';
+    getSearchEngines().forEach(engine => {
+        const mark = engine.id === active.id ? '✓ ' : '';
+        const keyword = engine.keyword ? ` (${escapeHtml(engine.keyword)})` : '';
+        html += `<div class="menu-item" tabindex="0" data-action="select-engine" data-engine="${escapeHtml(engine.id)}">${mark}${escapeHtml(engine.name)}${keyword}</div>`;
+        if (engine.id.startsWith('custom-')) {
+            html += `<div class="menu-item menu-delete" tabindex="0" data-action="delete-engine" data-engine="${escapeHtml(engine.id)}">[Delete Engine]</div>`;
+        }
+    });
+    if (currentOpenSearchUrl) {
+        html += '<div class="menu-item" tabindex="0" data-action="add-opensearch">+ Add Search From This Site</div>';
+    }
+    html += '<div class="menu-item" tabindex="0" data-action="add-custom-engine">+ Add Custom Engine</div>';
+
+    menu.innerHTML = html;
+    setTimeout(() => {
+        const first = menu.querySelector('.menu-item');
+        if (first) first.focus();
+    }, 50);
+}
+
+// --- TEXT PROMPT OVERLAY ---
+function openPrompt(label, defaultValue, onSubmit) {
+    const overlay = document.getElementById('prompt-overlay');
+    const input = document.getElementById('prompt-input');
+    document.getElementById('prompt-label').innerText = label;
+    input.value = defaultValue || '';
+
+    promptReturnFocus = document.activeElement;
+    promptCallback = onSubmit;
+    isPromptOpen = true;
+    overlay.classList.remove('hidden');
+    input.focus();
+    setTimeout(() => {
+        input.setSelectionRange(input.value.length, input.value.length);
+    }, 150);
+    updateSoftkeyLabels();
+}
+
+function closePrompt(submit) {
+    const input = document.getElementById('prompt-input');
+    const value = input.value.trim();
+    const callback = promptCallback;
+
+    isPromptOpen = false;
+    promptCallback = null;
+    document.getElementById('prompt-overlay').classList.add('hidden');
+    input.blur();
+    input.type = 'text'; // promptForInput() may have masked it
+
+    if (promptReturnFocus && document.body.contains(promptReturnFocus)) {
+        promptReturnFocus.focus();
+    } else {
+        document.getElementById('reader').focus();
+    }
+    promptReturnFocus = null;
+    updateSoftkeyLabels();
+
+    if (submit && callback) callback(value);
+}
+
+// --- SEARCH & URL OVERLAY ---
+function handleUrlSubmit() {
+    let input = document.getElementById('url-input').value.trim();
+    if (!input) return;
+
+    let url;
+    // Keyword shortcut, e.g. "w cello" or "!w cello" searches Wikipedia
+    const keywordMatch = input.match(/^(\S+)\s+(.+)$/);
+    const keywordEngine = keywordMatch ? findEngineByKeyword(keywordMatch[1]) : null;
+    if (isSmallWebUrl(input)) {
+        // gemini:// and gopher:// addresses are taken as typed (hosts need not contain a dot)
+        url = input;
+    } else if (keywordEngine) {
+        url = buildSearchUrl(keywordEngine, keywordMatch[2]);
+    } else if (!input.includes(".") || input.includes(" ")) {
+        // Search query
+        url = buildSearchUrl(getActiveSearchEngine(), input);
+    } else {
+        // URL input
+        try {
+            // Test if it's a valid URL
+            new URL(input.startsWith('http') ? input : 'https://' + input);
+            url = input.startsWith('http') ? input : 'https://' + input;
+        } catch (e) {
+            showError('Invalid URL format. Please enter a valid website address.');
+            return;
+        }
+    }
+
+    toggleUrlBar();
+    loadPage(url);
+}
+
+function toggleUrlBar() {
+    isUrlBarOpen = !isUrlBarOpen;
+    const overlay = document.getElementById('url-overlay');
     const input = document.getElementById('url-input');
 
-    if (isUrlBarOpen) {
-        clearLinkSelection();
-        overlay.classList.remove('hidden');
-        input.focus();
-        // KaiOS-Specific Selection Fix
-        setTimeout(() => {
-            input.setSelectionRange(0, input.value.length);
-            input.select();
-        }, 150);
-    } else {
-        overlay.classList.add('hidden');
-        document.getElementById('reader').focus();
+    if (isUrlBarOpen) {
+        clearLinkSelection();
+        overlay.classList.remove('hidden');
+        input.focus();
+        // KaiOS-Specific Selection Fix
+        setTimeout(() => {
+            input.setSelectionRange(0, input.value.length);
+            input.select();
+        }, 150);
+    } else {
+        overlay.classList.add('hidden');
+        document.getElementById('reader').focus();
+    }
+    updateSoftkeyLabels();
+}
+
+// --- MENU SYSTEM ---
+function resetMainMenu() {
+    const menu = document.getElementById('option-menu');
+    menu.innerHTML = `
+        ${menuLinkTarget ? `<div class="menu-item" tabindex="0" data-action="open-link-new-tab">Open Link in New Tab</div>
+        <div class="menu-item" tabindex="0" data-action="copy-link">Copy Link</div>
+        <div class="menu-item" tabindex="0" data-action="share-link">Share Link</div>` : ''}
+        ${menuHideRule ? '<div class="menu-item" tabindex="0" data-action="hide-block">Hide This Block</div>' : ''}
+        <div class="menu-item" tabindex="0" data-action="top">Go to Top</div>
+        <div class="menu-item" tabindex="0" data-action="refresh">Refresh Page</div>
+        <div class="menu-item" tabindex="0" data-action="find">Find in Page</div>
+        <div class="menu-item" tabindex="0" data-action="read-aloud">Read Aloud</div>
+        <div class="menu-item" tabindex="0" data-action="contents">Contents</div>
+        ${forwardStack.length > 0 ? '<div class="menu-item" tabindex="0" data-action="forward">Go Forward</div>' : ''}
+        <div class="menu-item" tabindex="0" data-action="add-bookmark">Add Bookmark</div>
+        <div class="menu-item" tabindex="0" data-action="view-bookmarks">My Bookmarks</div>
+        <div class="menu-item" tabindex="0" data-action="view-history">History</div>
+        <div class="menu-item" tabindex="0" data-action="save-offline">Save for Offline</div>
+        <div class="menu-item" tabindex="0" data-action="view-reading-list">Reading List</div>
+        ${currentFeedLinks.length > 0 ? '<div class="menu-item" tabindex="0" data-action="subscribe-feed">Subscribe to Feed</div>' : ''}
+        <div class="menu-item" tabindex="0" data-action="view-feeds">Feeds</div>
+        <div class="menu-item" tabindex="0" data-action="view-tabs">Tabs (${tabs.length || 1})</div>
+        <div class="menu-item" tabindex="0" data-action="search-engines">Search Engine: ${escapeHtml(getActiveSearchEngine().name.toUpperCase())}</div>
+        <div class="menu-item" tabindex="0" data-action="extraction-toggle">View: ${currUrl && getExtractionMode(currUrl) === 'full' ? 'FULL PAGE' : 'READER'}</div>
+        <div class="menu-item" tabindex="0" data-action="site-settings">Site Settings</div>
+        <div class="menu-item" tabindex="0" data-action="request-settings">Request Settings</div>
+        <div class="menu-item" tabindex="0" data-action="content-blocking">Content Blocking</div>
+        <div class="menu-item" tabindex="0" data-action="text-toggle">Text Size: ${escapeHtml(getGlobalSettingLabel(currentSize.toUpperCase(), 'textSize'))}</div>
+        <div class="menu-item" tabindex="0" data-action="encoding-menu">Text Encoding</div>
+        <div class="menu-item" tabindex="0" data-action="table-toggle">Tables: ${getTableMode().toUpperCase()}</div>
+        <div class="menu-item" tabindex="0" data-action="image-toggle">Images: ${escapeHtml(getImageModeLabel())}</div>
+        <div class="menu-item" tabindex="0" data-action="speech-settings">Speech: ${getReadAloudRate()}x</div>
+        <div class="menu-item" tabindex="0" data-action="color-toggle">Color Mode: ${escapeHtml(getGlobalSettingLabel(getColorModeLabel(colorMode), 'colorMode'))}</div>
+        <div class="menu-item" tabindex="0" data-action="view-themes">Themes</div>
+        <div class="menu-item" tabindex="0" data-action="keyboard-shortcuts">Keyboard Shortcuts</div>
+        <div class="menu-item" tabindex="0" data-action="key-help">Keyboard Help</div>
+        <div class="menu-item" tabindex="0" data-action="about">About Violoncello</div>
+        <div class="menu-item" tabindex="0" data-action="close">Close Menu</div>
+    `;
+}
+
+// --- NOTIFICATION SYSTEM ---
+function showNotification(message, isError = false) {
+    const notification = document.createElement('div');
+    notification.className = 'notification ' + (isError ? 'notification-error' : 'notification-success');
+    notification.innerText = message;
+    document.body.appendChild(notification);
+    setTimeout(() => notification.remove(), 2500);
+}
+
+// --- BOOKMARK STORE ---
+// Stored under 'bookmarks' as { version: 2, items: [...] } where each item is either
+// { type: 'bookmark', id, title, label, url, added } or { type: 'folder', id, title, items }.
+// Version 1 was a flat array of { title, url } and is migrated on first read.
+const BOOKMARK_LABEL_LENGTH = 30;
+let bookmarkFolderId = null; // Folder shown by showBookmarks(), null for the top level
+
+function createBookmarkId() {
+    return createId('b');
+}
+
+function migrateBookmarks(list) {
+    return {
+        version: 2,
+        items: list.filter(item => item && item.url).map(item => ({
+            type: 'bookmark',
+            id: createBookmarkId(),
+            title: String(item.title || item.url),
+            label: '',
+            url: String(item.url),
+            added: Date.now()
+        }))
+    };
+}
+
+function loadBookmarks() {
+    let stored;
+    try {
+        stored = JSON.parse(getSafeLocalStorage('bookmarks', "[]"));
+    } catch (e) {
+        console.error('Bookmarks parsing error:', e);
+        stored = [];
+    }
+    if (Array.isArray(stored)) {
+        const migrated = migrateBookmarks(stored);
+        saveBookmarks(migrated);
+        return migrated;
+    }
+    if (!stored || !Array.isArray(stored.items)) return { version: 2, items: [] };
+    return stored;
+}
+
+function saveBookmarks(root) {
+    return setSafeLocalStorage('bookmarks', JSON.stringify(root));
+}
+
+// Locate an item anywhere in the tree: { node, list, index } or null
+function findBookmarkNode(items, id) {
+    for (let i = 0; i < items.length; i++) {
+        if (items[i].id === id) return { node: items[i], list: items, index: i };
+        if (items[i].type === 'folder') {
+            const found = findBookmarkNode(items[i].items, id);
+            if (found) return found;
+        }
+    }
+    return null;
+}
+
+function findBookmarkByUrl(items, url) {
+    for (const item of items) {
+        if (item.type === 'bookmark' && item.url === url) return item;
+        if (item.type === 'folder') {
+            const found = findBookmarkByUrl(item.items, url);
+            if (found) return found;
+        }
+    }
+    return null;
+}
+
+function getFolderItems(root, folderId) {
+    if (!folderId) return root.items;
+    const found = findBookmarkNode(root.items, folderId);
+    return found && found.node.type === 'folder' ? found.node.items : root.items;
+}
+
+// All folders as [{ id, title, depth }], skipping `excludeId` and everything inside it
+function listBookmarkFolders(items, excludeId, depth = 0, out = []) {
+    items.forEach(item => {
+        if (item.type !== 'folder' || item.id === excludeId) return;
+        out.push({ id: item.id, title: item.title, depth });
+        listBookmarkFolders(item.items, excludeId, depth + 1, out);
+    });
+    return out;
+}
+
+function getBookmarkDisplayName(item) {
+    return item.label || item.title || item.url;
+}
+
+function addBookmark(root, title, url, label = '') {
+    const bookmark = {
+        type: 'bookmark',
+        id: createBookmarkId(),
+        title: title.trim().replace(/\s+/g, ' '),
+        label: label.trim().substring(0, BOOKMARK_LABEL_LENGTH),
+        url,
+        added: Date.now()
+    };
+    root.items.push(bookmark);
+    if (saveBookmarks(root)) {
+        showNotification('Bookmark saved!');
+    } else {
+        showNotification('Storage full - bookmark may not save', true);
+    }
+    return bookmark;
+}
+
+// Prompt for an optional label after the bookmark is stored with its full title
+function addCurrentPageBookmark() {
+    const title = currTitle || (document.querySelector('#reader h1, #reader h2')?.textContent || '').trim() || "Untitled Page";
+    const root = loadBookmarks();
+    const bookmark = addBookmark(root, title, currUrl);
+    openPrompt('Short label (optional)', '', (label) => {
+        if (!label) return;
+        const updated = loadBookmarks();
+        const found = findBookmarkNode(updated.items, bookmark.id);
+        if (!found) return;
+        found.node.label = label.substring(0, BOOKMARK_LABEL_LENGTH);
+        saveBookmarks(updated);
+    });
+}
+
+// Bookmark the current page, or open the menu on a choice to edit the existing bookmark
+function bookmarkCurrentPage() {
+    // Prevent bookmarking the local default homepage (currUrl === '')
+    if (!currUrl) {
+        showNotification('Cannot bookmark the default homepage', true);
+        if (isMenuOpen) closeMenu();
+        return;
+    }
+
+    const existing = findBookmarkByUrl(loadBookmarks().items, currUrl);
+    if (existing) {
+        // Duplicate: offer to edit the existing bookmark instead
+        if (!isMenuOpen) openMenu();
+        const dupMenu = document.getElementById('option-menu');
+        dupMenu.innerHTML = `
+            <div class="menu-item" style="opacity:0.7;">Already bookmarked as "${escapeHtml(getBookmarkDisplayName(existing))}"</div>
+            <div class="menu-item" tabindex="0" data-action="bookmark-options" data-id="${escapeHtml(existing.id)}">Edit Existing</div>
+            <div class="menu-item" tabindex="0" data-action="add-bookmark-anyway">Add Anyway</div>
+            <div class="menu-item" tabindex="0" data-action="close">Cancel</div>
+        `;
+        focusMenuItem('[data-action="bookmark-options"]');
+        return;
+    }
+    if (isMenuOpen) closeMenu();
+    addCurrentPageBookmark();
+}
+
+function focusMenuItem(selector) {
+    const menu = document.getElementById('option-menu');
+    setTimeout(() => {
+        const target = (selector && menu.querySelector(selector)) || menu.querySelector('.menu-item');
+        if (target) target.focus();
+    }, 50);
+}
+
+function showBookmarks(folderId = bookmarkFolderId, focusId = null) {
+    const menu = document.getElementById('option-menu');
+    const root = loadBookmarks();
+    const folder = folderId ? findBookmarkNode(root.items, folderId) : null;
+    if (!folder || folder.node.type !== 'folder') folderId = null;
+    bookmarkFolderId = folderId;
+    const items = getFolderItems(root, folderId);
+
+    let html = '';
+    if (folderId) {
+        const parent = findParentFolderId(root.items, folderId);
+        html += `<div class="menu-item" tabindex="0" data-action="open-folder" data-id="${escapeHtml(parent || '')}">← Up</div>`;
+        html += `<div class="menu-heading">${escapeHtml(folder.node.title)}</div>`;
+    } else {
+        html += '<div class="menu-item" tabindex="0" data-action="main-menu">← Back to Main Menu</div>';
+    }
+
+    if (items.length === 0) {
+        html += `<div class="menu-heading">${folderId ? 'This folder is empty.' : 'No bookmarks saved.'}</div>`;
+    } else {
+        items.forEach(item => {
+            if (item.type === 'folder') {
+                html += `<div class="menu-item" tabindex="0" data-action="open-folder" data-id="${escapeHtml(item.id)}">📁 ${escapeHtml(item.title)} (${item.items.length})</div>`;
+            } else {
+                html += `<div class="menu-item" tabindex="0" data-action="load-bookmark" data-id="${escapeHtml(item.id)}" data-url="${escapeHtml(item.url)}">${escapeHtml(getBookmarkDisplayName(item))}</div>`;
+            }
+            html += `<div class="menu-item menu-option" tabindex="0" data-action="bookmark-options" data-id="${escapeHtml(item.id)}">[Edit Item]</div>`;
+        });
+    }
+    html += '<div class="menu-item" tabindex="0" data-action="new-folder">+ New Folder</div>';
+    if (!folderId) {
+        html += '<div class="menu-item" tabindex="0" data-action="bookmark-transfer">Import / Export</div>';
+    }
+    if (!folderId && items.length > 0) {
+        html += `<div class="menu-item menu-delete" tabindex="0" data-action="confirm-clear-all">CLEAR ALL</div>`;
+    }
+
+    menu.innerHTML = html;
+    focusMenuItem(focusId ? `[data-id="${focusId}"]` : null);
+}
+
+function findParentFolderId(items, id, parentId = null) {
+    for (const item of items) {
+        if (item.id === id) return parentId;
+        if (item.type === 'folder') {
+            const found = findParentFolderId(item.items, id, item.id);
+            if (found !== undefined) return found;
+        }
+    }
+    return undefined;
+}
+
+function showBookmarkOptions(id) {
+    const menu = document.getElementById('option-menu');
+    const found = findBookmarkNode(loadBookmarks().items, id);
+    if (!found) {
+        showBookmarks();
+        return;
+    }
+    const item = found.node;
+    const isFolder = item.type === 'folder';
+    const safeId = escapeHtml(id);
+
+    let html = `<div class="menu-item" tabindex="0" data-action="open-folder" data-id="${escapeHtml(bookmarkFolderId || '')}">← Back</div>`;
+    html += `<div class="menu-heading">${escapeHtml(isFolder ? item.title : getBookmarkDisplayName(item))}</div>`;
+    html += `<div class="menu-item" tabindex="0" data-action="edit-bookmark-title" data-id="${safeId}">${isFolder ? 'Rename Folder' : 'Edit Title'}</div>`;
+    if (!isFolder) {
+        html += `<div class="menu-item" tabindex="0" data-action="edit-bookmark-label" data-id="${safeId}">Edit Short Label</div>`;
+        html += `<div class="menu-item" tabindex="0" data-action="edit-bookmark-url" data-id="${safeId}">Edit URL</div>`;
+    }
+    if (found.index > 0) {
+        html += `<div class="menu-item" tabindex="0" data-action="move-bookmark" data-dir="-1" data-id="${safeId}">Move Up</div>`;
+    }
+    if (found.index < found.list.length - 1) {
+        html += `<div class="menu-item" tabindex="0" data-action="move-bookmark" data-dir="1" data-id="${safeId}">Move Down</div>`;
+    }
+    html += `<div class="menu-item" tabindex="0" data-action="choose-bookmark-folder" data-id="${safeId}">Move to Folder</div>`;
+    html += `<div class="menu-item menu-delete" tabindex="0" data-action="delete-bookmark" data-id="${safeId}">${isFolder ? 'Delete Folder' : 'Delete Bookmark'}</div>`;
+
+    menu.innerHTML = html;
+    focusMenuItem(null);
+}
+
+function showBookmarkFolderChooser(id) {
+    const menu = document.getElementById('option-menu');
+    const root = loadBookmarks();
+    const safeId = escapeHtml(id);
+
+    let html = `<div class="menu-item" tabindex="0" data-action="bookmark-options" data-id="${safeId}">← Back</div>`;
+    html += `<div class="menu-item" tabindex="0" data-action="move-bookmark-to" data-id="${safeId}" data-folder="">Top Level</div>`;
+    listBookmarkFolders(root.items, id).forEach(folder => {
+        const indent = '&nbsp;&nbsp;'.repeat(folder.depth + 1);
+        html += `<div class="menu-item" tabindex="0" data-action="move-bookmark-to" data-id="${safeId}" data-folder="${escapeHtml(folder.id)}">${indent}📁 ${escapeHtml(folder.title)}</div>`;
+    });
+
+    menu.innerHTML = html;
+    focusMenuItem(null);
+}
+
+// --- BOOKMARK IMPORT / EXPORT (SD CARD) ---
+const EXPORT_DIR = 'violoncello/';
+const IMPORT_DIRS = ['violoncello', 'Download', 'downloads'];
+// Settings carried in the JSON backup alongside bookmarks
+const BACKUP_SETTING_KEYS = ['colorMode', 'userTextSize', 'imageMode', 'imageAutoLimitKb', 'tableMode', 'searchEngine', 'customSearchEngines', 'historyEnabled', 'siteSettings', 'feedSubscriptions', 'customThemes', 'autoTheme', 'userAgent', 'acceptLanguage', 'cookiesEnabled', 'contentBlocking', 'userFilters', 'readAloudRate', 'readAloudVoice', 'keyMap', 'headingJump'];
+let pendingImportFile = ''; // SD card path picked in the import screen
+
+// Each backup setting parsed and rebuilt in the form its setter stores; returns the string to
+// store, or null to skip the value. Keys without a normalizer here are never restored.
+function parseBackupJson(value) {
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return undefined;
+    }
+}
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Normalizer accepting only one of `choices`
+function pickBackupValue(choices) {
+    return (value) => choices.includes(value) ? value : null;
+}
+
+const BACKUP_BOOLEAN = pickBackupValue(['true', 'false']);
+const BACKUP_SETTING_NORMALIZERS = {
+    colorMode: (value) => isStorableColorMode(value) ? value : null,
+    userTextSize: pickBackupValue(TEXT_SIZES),
+    imageMode: pickBackupValue(IMAGE_MODES),
+    // Any positive size, snapped to the nearest limit the Images setting offers
+    imageAutoLimitKb: (value) => {
+        const limit = parseInt(value, 10);
+        if (!(limit > 0)) return null;
+        return String(IMAGE_AUTO_LIMITS_KB.reduce((best, kb) => Math.abs(kb - limit) < Math.abs(best - limit) ? kb : best));
+    },
+    tableMode: pickBackupValue(TABLE_MODES),
+    searchEngine: (value) => /^[\w-]{1,60}$/.test(value) ? value : null,
+    customSearchEngines: (value) => {
+        const list = parseBackupJson(value);
+        if (!Array.isArray(list)) return null;
+        const engines = [];
+        list.forEach(engine => addRestoredSearchEngine(engines, engine));
+        return JSON.stringify(engines);
+    },
+    historyEnabled: BACKUP_BOOLEAN,
+    siteSettings: (value) => {
+        const all = parseBackupJson(value);
+        if (!isPlainObject(all)) return null;
+        const normalized = {};
+        Object.keys(all).forEach(key => {
+            const site = isValidSiteKey(key) ? normalizeSiteSettings(all[key]) : null;
+            if (site) normalized[key] = site;
+        });
+        return JSON.stringify(normalized);
+    },
+    feedSubscriptions: (value) => {
+        const list = parseBackupJson(value);
+        if (!Array.isArray(list)) return null;
+        const isHttpUrl = (url) => {
+            try {
+                return /^https?:$/.test(new URL(url).protocol);
+            } catch (e) {
+                return false;
+            }
+        };
+        return JSON.stringify(list.filter(sub => sub && typeof sub.url === 'string' && isHttpUrl(sub.url)).map(sub => ({
+            url: sub.url,
+            title: typeof sub.title === 'string' && sub.title ? sub.title.slice(0, 200) : sub.url,
+            addedAt: Number(sub.addedAt) || Date.now(),
+            lastRefreshed: Number(sub.lastRefreshed) || 0,
+            failed: sub.failed === true
+        })));
+    },
+    customThemes: (value) => {
+        const list = parseBackupJson(value);
+        return Array.isArray(list) ? JSON.stringify(list.map(normalizeCustomTheme).filter(Boolean)) : null;
+    },
+    autoTheme: (value) => {
+        const auto = parseBackupJson(value);
+        if (!isPlainObject(auto)) return null;
+        const hour = (h, fallback) => Number.isInteger(h) && h >= 0 && h <= 23 ? h : fallback;
+        return JSON.stringify({
+            day: isStorableColorMode(auto.day) && auto.day !== 'auto' ? auto.day : 'light',
+            night: isStorableColorMode(auto.night) && auto.night !== 'auto' ? auto.night : 'dark',
+            source: auto.source === 'light' ? 'light' : 'time',
+            dayStart: hour(auto.dayStart, 7),
+            nightStart: hour(auto.nightStart, 19)
+        });
+    },
+    userAgent: (value) => value in USER_AGENTS ? value : null,
+    acceptLanguage: (value) => value.replace(/[^\w\s,;=.*-]/g, '').slice(0, 200),
+    cookiesEnabled: BACKUP_BOOLEAN,
+    contentBlocking: BACKUP_BOOLEAN,
+    userFilters: (value) => {
+        const list = parseBackupJson(value);
+        if (!Array.isArray(list)) return null;
+        return JSON.stringify(list.filter(line => typeof line === 'string' && isValidFilterRule(line)));
+    },
+    readAloudRate: pickBackupValue(READ_ALOUD_RATES),
+    readAloudVoice: (value) => value.length <= 300 ? value : null,
+    keyMap: (value) => {
+        const map = parseBackupJson(value);
+        if (!isPlainObject(map)) return null;
+        const normalized = {};
+        KEYPAD_KEYS.forEach(key => {
+            if (map[key] === '' || (typeof map[key] === 'string' && SHORTCUT_ACTIONS[map[key]])) normalized[key] = map[key];
+        });
+        return JSON.stringify(normalized);
+    },
+    headingJump: BACKUP_BOOLEAN
+};
+
+function normalizeBackupSetting(key, value) {
+    const normalize = BACKUP_SETTING_NORMALIZERS[key];
+    return normalize && typeof value === 'string' ? normalize(value) : null;
+}
+
+function getSdCard() {
+    if (!navigator.getDeviceStorage) return null;
+    try {
+        return navigator.getDeviceStorage('sdcard');
+    } catch (e) {
+        return null;
+    }
+}
+
+function domRequestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// addNamed() refuses to overwrite, so remove an older export first
+async function writeSdCardFile(name, blob) {
+    const storage = getSdCard();
+    if (!storage) throw new Error('SD card unavailable');
+    try {
+        await domRequestToPromise(storage.delete(name));
+    } catch (e) {
+        // Nothing to replace
+    }
+    return domRequestToPromise(storage.addNamed(blob, name));
+}
+
+async function readSdCardFile(name) {
+    const storage = getSdCard();
+    if (!storage) throw new Error('SD card unavailable');
+    const file = await domRequestToPromise(storage.get(name));
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(file);
+    });
+}
+
+// Names of importable .html / .json files in the usual folders
+function listImportableFiles() {
+    const storage = getSdCard();
+    if (!storage) return Promise.reject(new Error('SD card unavailable'));
+    const found = [];
+    return IMPORT_DIRS.reduce((chain, dir) => chain.then(() => new Promise((resolve) => {
+        let cursor;
+        try {
+            cursor = storage.enumerate(dir);
+        } catch (e) {
+            resolve();
+            return;
+        }
+        cursor.onsuccess = () => {
+            const file = cursor.result;
+            if (!file) {
+                resolve();
+                return;
+            }
+            if (/\.(html?|json)$/i.test(file.name) && !found.includes(file.name)) found.push(file.name);
+            cursor.continue();
+        };
+        cursor.onerror = () => resolve();
+    })), Promise.resolve()).then(() => found);
+}
+
+function toNetscapeHtml(items, indent = '    ') {
+    let html = '';
+    items.forEach(item => {
+        if (item.type === 'folder') {
+            html += `${indent}<DT><H3>${escapeHtml(item.title)}</H3>\n${indent}<DL><p>\n`;
+            html += toNetscapeHtml(item.items, indent + '    ');
+            html += `${indent}</DL><p>\n`;
+        } else {
+            const added = Math.floor((item.added || Date.now()) / 1000);
+            html += `${indent}<DT><A HREF="${escapeHtml(item.url).replace(/"/g, '&quot;')}" ADD_DATE="${added}">${escapeHtml(item.title)}</A>\n`;
+        }
+    });
+    return html;
+}
+
+function exportBookmarksHtml() {
+    const root = loadBookmarks();
+    return '<!DOCTYPE NETSCAPE-Bookmark-file-1>\n' +
+        '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">\n' +
+        '<TITLE>Bookmarks</TITLE>\n<H1>Bookmarks</H1>\n<DL><p>\n' +
+        toNetscapeHtml(root.items) +
+        '</DL><p>\n';
+}
+
+function exportBackupJson() {
+    const settings = {};
+    BACKUP_SETTING_KEYS.forEach(key => {
+        const value = getSafeLocalStorage(key, null);
+        if (value !== null) settings[key] = value;
+    });
+    return JSON.stringify({
+        app: 'violoncello',
+        type: 'backup',
+        version: 1,
+        exported: new Date().toISOString(),
+        bookmarks: loadBookmarks(),
+        settings
+    }, null, 2);
+}
+
+async function exportToSdCard(format) {
+    const isJson = format === 'json';
+    const name = EXPORT_DIR + (isJson ? 'violoncello-backup.json' : 'bookmarks.html');
+    const blob = new Blob([isJson ? exportBackupJson() : exportBookmarksHtml()],
+        { type: isJson ? 'application/json' : 'text/html' });
+    try {
+        await writeSdCardFile(name, blob);
+        showNotification('Saved to SD card: ' + name);
+    } catch (e) {
+        console.error('Export error:', e);
+        showNotification('Export failed - is an SD card inserted?', true);
+    }
+}
+
+function sanitizeImportedUrl(url) {
+    try {
+        const parsed = new URL(url);
+        return (parsed.protocol === 'http:' || parsed.protocol === 'https:') ? parsed.href : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Walk a Netscape <DL>: <DT><A> is a bookmark, <DT><H3> followed by a <DL> is a folder
+function parseNetscapeList(dl) {
+    const items = [];
+    Array.from(dl.children).forEach(child => {
+        if (child.tagName !== 'DT') return;
+        const link = child.querySelector(':scope > a');
+        const heading = child.querySelector(':scope > h3');
+        if (heading) {
+            let sub = child.querySelector(':scope > dl');
+            if (!sub && child.nextElementSibling && child.nextElementSibling.tagName === 'DL') sub = child.nextElementSibling;
+            items.push({
+                type: 'folder',
+                id: createBookmarkId(),
+                title: heading.textContent.trim() || 'Folder',
+                items: sub ? parseNetscapeList(sub) : []
+            });
+        } else if (link) {
+            const url = sanitizeImportedUrl(link.getAttribute('href'));
+            if (!url) return;
+            const added = parseInt(link.getAttribute('add_date'), 10);
+            items.push({
+                type: 'bookmark',
+                id: createBookmarkId(),
+                title: link.textContent.trim() || url,
+                label: '',
+                url,
+                added: added > 0 ? added * 1000 : Date.now()
+            });
+        }
+    });
+    return items;
+}
+
+// Re-check every imported node so a hand-edited backup cannot inject bad URLs or shapes
+function sanitizeImportedItems(items) {
+    if (!Array.isArray(items)) return [];
+    return items.map(item => {
+        if (!item || typeof item !== 'object') return null;
+        if (item.type === 'folder') {
+            return { type: 'folder', id: createBookmarkId(), title: String(item.title || 'Folder'), items: sanitizeImportedItems(item.items) };
+        }
+        const url = sanitizeImportedUrl(item.url);
+        if (!url) return null;
+        return {
+            type: 'bookmark',
+            id: createBookmarkId(),
+            title: String(item.title || url),
+            label: String(item.label || '').substring(0, BOOKMARK_LABEL_LENGTH),
+            url,
+            added: Number(item.added) || Date.now()
+        };
+    }).filter(Boolean);
+}
+
+// Merge `incoming` into `target`, joining same-named folders and skipping known URLs
+function mergeBookmarkItems(target, incoming, knownUrls, stats) {
+    incoming.forEach(item => {
+        if (item.type === 'folder') {
+            let folder = target.find(existing => existing.type === 'folder' && existing.title === item.title);
+            if (!folder) {
+                folder = { type: 'folder', id: item.id, title: item.title, items: [] };
+                target.push(folder);
+                stats.folders++;
+            }
+            mergeBookmarkItems(folder.items, item.items, knownUrls, stats);
+        } else if (knownUrls.has(item.url)) {
+            stats.duplicates++;
+        } else {
+            knownUrls.add(item.url);
+            target.push(item);
+            stats.bookmarks++;
+        }
+    });
+}
+
+function collectBookmarkUrls(items, urls = new Set()) {
+    items.forEach(item => {
+        if (item.type === 'folder') collectBookmarkUrls(item.items, urls);
+        else urls.add(item.url);
+    });
+    return urls;
+}
+
+function applyBackupSettings(settings, mode, stats) {
+    if (!settings || typeof settings !== 'object') return;
+    BACKUP_SETTING_KEYS.forEach(key => {
+        if (typeof settings[key] !== 'string') return;
+        // Merging keeps the phone's own settings and only adds custom search engines
+        if (mode === 'merge') {
+            if (key !== 'customSearchEngines') return;
+            try {
+                const current = getCustomSearchEngines();
+                const incoming = JSON.parse(settings[key]);
+                if (!Array.isArray(incoming)) return;
+                incoming.forEach(engine => {
+                    if (addRestoredSearchEngine(current, engine)) stats.settings++;
+                });
+                setSafeLocalStorage('customSearchEngines', JSON.stringify(current));
+            } catch (e) { }
+            return;
+        }
+        const value = normalizeBackupSetting(key, settings[key]);
+        if (value === null) return;
+        setSafeLocalStorage(key, value);
+        stats.settings++;
+    });
+
+    // Bring restored appearance settings into effect right away
+    currentSize = getSafeLocalStorage('userTextSize', 'medium');
+    colorMode = getSafeLocalStorage('colorMode', 'light');
+    applySiteAppearance(currUrl);
+}
+
+// mode: 'merge' | 'replace'
+async function importFromSdCard(name, mode) {
+    let text;
+    try {
+        text = await readSdCardFile(name);
+    } catch (e) {
+        console.error('Import read error:', e);
+        showNotification('Could not read ' + name, true);
+        return;
+    }
+
+    let incoming = [];
+    let settings = null;
+    try {
+        if (/\.json$/i.test(name)) {
+            const data = JSON.parse(text);
+            if (Array.isArray(data)) {
+                incoming = sanitizeImportedItems(migrateBookmarks(data).items); // Old flat bookmark list
+            } else {
+                incoming = sanitizeImportedItems(data.bookmarks && data.bookmarks.items);
+                settings = data.settings;
+            }
+        } else {
+            const doc = new DOMParser().parseFromString(text, 'text/html');
+            const dl = doc.querySelector('dl');
+            incoming = dl ? parseNetscapeList(dl) : [];
+        }
+    } catch (e) {
+        console.error('Import parse error:', e);
+        showNotification('Unrecognized bookmark file', true);
+        return;
+    }
+
+    const stats = { bookmarks: 0, folders: 0, duplicates: 0, settings: 0 };
+    const root = loadBookmarks();
+    if (mode === 'replace') root.items = [];
+    mergeBookmarkItems(root.items, incoming, collectBookmarkUrls(root.items), stats);
+
+    if (!saveBookmarks(root)) {
+        showNotification('Storage full - import incomplete', true);
+        return;
     }
-    updateSoftkeyLabels();
+    applyBackupSettings(settings, mode, stats);
+    showImportSummary(name, mode, stats);
 }
 
-// --- MENU SYSTEM ---
-function resetMainMenu() {
+function showImportSummary(name, mode, stats) {
     const menu = document.getElementById('option-menu');
     menu.innerHTML = `
-        <div class="menu-item" tabindex="0" data-action="top">Go to Top</div>
-        <div class="menu-item" tabindex="0" data-action="refresh">Refresh Page</div>
-        <div class="menu-item" tabindex="0" data-action="add-bookmark">Add Bookmark</div>
-        <div class="menu-item" tabindex="0" data-action="view-bookmarks">My Bookmarks</div>
-        <div class="menu-item" tabindex="0" data-action="text-toggle">Text Size: ${currentSize.toUpperCase()}</div>
-        <div class="menu-item" tabindex="0" data-action="color-toggle">Color Mode: ${colorMode.toUpperCase()}</div>
-        <div class="menu-item" tabindex="0" data-action="about">About Violoncello</div>
-        <div class="menu-item" tabindex="0" data-action="close">Close Menu</div>
+        <div class="menu-heading">Imported from ${escapeHtml(name)} (${mode === 'replace' ? 'replaced' : 'merged'})</div>
+        <div class="menu-item" style="opacity:0.7;">${stats.bookmarks} bookmarks added</div>
+        <div class="menu-item" style="opacity:0.7;">${stats.folders} folders created</div>
+        <div class="menu-item" style="opacity:0.7;">${stats.duplicates} duplicates skipped</div>
+        <div class="menu-item" style="opacity:0.7;">${stats.settings} settings restored</div>
+        <div class="menu-item" tabindex="0" data-action="view-bookmarks">View Bookmarks</div>
     `;
+    focusMenuItem('[data-action="view-bookmarks"]');
 }
 
-// --- NOTIFICATION SYSTEM ---
-function showNotification(message, isError = false) {
-    const notification = document.createElement('div');
-    notification.className = 'notification ' + (isError ? 'notification-error' : 'notification-success');
-    notification.innerText = message;
-    document.body.appendChild(notification);
-    setTimeout(() => notification.remove(), 2500);
+function showBookmarkTransfer() {
+    const menu = document.getElementById('option-menu');
+    menu.innerHTML = `
+        <div class="menu-item" tabindex="0" data-action="view-bookmarks">← Back to Bookmarks</div>
+        <div class="menu-item" tabindex="0" data-action="export-bookmarks" data-format="html">Export Bookmarks (HTML)</div>
+        <div class="menu-item" tabindex="0" data-action="export-bookmarks" data-format="json">Export Full Backup (JSON)</div>
+        <div class="menu-item" tabindex="0" data-action="import-bookmarks">Import From SD Card</div>
+    `;
+    focusMenuItem(null);
 }
 
-function showBookmarks() {
+async function showImportFiles() {
     const menu = document.getElementById('option-menu');
-    let b = [];
+    let files = [];
     try {
-        b = JSON.parse(getSafeLocalStorage('bookmarks', "[]"));
+        files = await listImportableFiles();
     } catch (e) {
-        console.error('Bookmarks parsing error:', e);
-        setSafeLocalStorage('bookmarks', "[]");
+        showNotification('SD card unavailable', true);
+        return;
     }
+    if (!isMenuOpen) return;
 
-    let html = '<div class="menu-item" tabindex="0" data-action="main-menu">← Back to Main Menu</div>';
-
-    if (b.length === 0) {
-        html += '<div class="menu-item" tabindex="0" data-action="main-menu" style="opacity:0.6;">No bookmarks saved.</div>';
+    let html = '<div class="menu-item" tabindex="0" data-action="bookmark-transfer">← Back</div>';
+    if (files.length === 0) {
+        html += `<div class="menu-heading">No .html or .json files found in ${IMPORT_DIRS.map(d => d + '/').join(', ')}</div>`;
     } else {
-        b.forEach((item, index) => {
-            html += `<div class="menu-item" tabindex="0" data-action="load-bookmark" data-url="${escapeHtml(item.url)}">${escapeHtml(item.title)}</div>`;
-            html += `<div class="menu-item menu-delete" tabindex="0" data-action="delete-bookmark" data-index="${index}">[Delete Item]</div>`;
+        files.forEach(file => {
+            html += `<div class="menu-item" tabindex="0" data-action="choose-import-file" data-file="${escapeHtml(file).replace(/"/g, '&quot;')}">${escapeHtml(file)}</div>`;
         });
-        html += `<div class="menu-item menu-delete" tabindex="0" data-action="confirm-clear-all">CLEAR ALL</div>`;
     }
-
     menu.innerHTML = html;
-    setTimeout(() => {
-        const first = menu.querySelector('.menu-item');
-        if (first) first.focus();
-    }, 50);
+    focusMenuItem(null);
+}
+
+// Apply `change(node, root)` to one stored item and persist; returns false if it is gone
+function updateBookmarkNode(id, change) {
+    const root = loadBookmarks();
+    const found = findBookmarkNode(root.items, id);
+    if (!found) return false;
+    change(found, root);
+    if (!saveBookmarks(root)) {
+        showNotification('Storage full - changes may not save', true);
+    }
+    return true;
 }
 
 function handleMenuAction(action) {
@@ -467,35 +5197,128 @@ function handleMenuAction(action) {
             loadPage(currUrl);
             closeMenu();
             break;
+        case "find":
+            closeMenu();
+            openFind();
+            break;
+        case "forward":
+            closeMenu();
+            goForward();
+            break;
+        case "open-link-new-tab": {
+            const target = menuLinkTarget;
+            closeMenu();
+            if (!isNavigationBlocked(target)) openInNewTab(target);
+            break;
+        }
+        case "save-offline":
+            saveCurrentPageOffline();
+            closeMenu();
+            break;
+        case "view-reading-list":
+            showReadingList();
+            break;
+        case "subscribe-feed": {
+            const feedUrl = el.getAttribute('data-url');
+            if (feedUrl || currentFeedLinks.length === 1) {
+                const feed = currentFeedLinks.find(link => link.url === feedUrl) || currentFeedLinks[0];
+                subscribeToFeed(feed.url, feed.title).then(() => {
+                    if (isMenuOpen) resetMainMenu();
+                    focusMenuItem('[data-action="view-feeds"]');
+                });
+            } else {
+                showFeedChooser();
+            }
+            break;
+        }
+        case "view-feeds":
+            showFeeds();
+            break;
+        case "refresh-feeds":
+            showNotification('Refreshing feeds...');
+            refreshAllFeeds().then(result => {
+                if (result) showNotification(`${result.newItems} new item${result.newItems === 1 ? '' : 's'}${result.failed ? `, ${result.failed} failed` : ''}`, result.failed > 0);
+                if (isMenuOpen) showFeeds();
+            });
+            break;
+        case "open-feed":
+            showFeedItems(el.getAttribute('data-url'));
+            break;
+        case "open-feed-item": {
+            const itemId = el.getAttribute('data-id');
+            closeMenu();
+            openFeedItem(itemId);
+            break;
+        }
+        case "feed-mark-read": {
+            const feedUrl = el.getAttribute('data-url');
+            markFeedRead(feedUrl).then(() => showFeedItems(feedUrl)).catch(() => {
+                showNotification('Failed to update feed', true);
+            });
+            break;
+        }
+        case "unsubscribe-feed":
+            unsubscribeFeed(el.getAttribute('data-url')).then(() => {
+                showNotification('Unsubscribed');
+                showFeeds();
+            });
+            break;
+        case "open-saved": {
+            const savedUrl = el.getAttribute('data-url');
+            closeMenu();
+            openSavedPage(savedUrl);
+            break;
+        }
+        case "toggle-saved-read": {
+            const savedUrl = el.getAttribute('data-url');
+            getSavedPage(savedUrl).then(page => {
+                if (!page) return;
+                page.read = !page.read;
+                return putSavedPage(page);
+            }).then(() => showReadingList()).catch(() => {
+                showNotification('Failed to update saved page', true);
+            });
+            break;
+        }
+        case "delete-saved":
+            deleteSavedPage(el.getAttribute('data-url')).then(() => {
+                showNotification('Saved page deleted');
+                showReadingList();
+            }).catch(() => {
+                showNotification('Failed to delete saved page', true);
+            });
+            break;
+        case "view-tabs":
+            showTabs();
+            break;
+        case "switch-tab":
+            closeMenu();
+            switchToTab(parseInt(el.getAttribute('data-index'), 10));
+            break;
+        case "close-tab":
+            closeTab(parseInt(el.getAttribute('data-index'), 10));
+            showTabs();
+            break;
+        case "new-tab":
+            closeMenu();
+            openInNewTab('');
+            if (!isUrlBarOpen) toggleUrlBar();
+            break;
         case "add-bookmark":
             try {
-                // Prevent bookmarking the local default homepage (currUrl === '')
-                if (!currUrl) {
-                    showNotification('Cannot bookmark the default homepage', true);
-                    closeMenu();
-                    break;
-                }
-
-                let b = JSON.parse(getSafeLocalStorage('bookmarks', "[]"));
-                // Normalize title: trim whitespace and collapse multiple spaces
-                let title = (document.querySelector('h1, h2')?.innerText || "Untitled Page")
-                    .trim()
-                    .replace(/\s+/g, ' ')
-                    .substring(0, 20);
-                b.push({ title, url: currUrl });
-                if (setSafeLocalStorage('bookmarks', JSON.stringify(b))) {
-                    showNotification('Bookmark saved!');
-                } else {
-                    showNotification('Storage full - bookmark may not save', true);
-                }
+                bookmarkCurrentPage();
             } catch (e) {
                 showNotification('Failed to save bookmark', true);
+                closeMenu();
             }
+            break;
+        case "add-bookmark-anyway":
             closeMenu();
+            addCurrentPageBookmark();
             break;
         case "view-bookmarks":
             try {
-                showBookmarks();
+                showBookmarks(null);
             } catch (e) {
                 console.error('Bookmarks error:', e);
                 showNotification('Failed to load bookmarks', true);
@@ -513,15 +5336,114 @@ function handleMenuAction(action) {
             loadPage(el.getAttribute('data-url'));
             closeMenu();
             break;
-        case "delete-bookmark":
+        case "bookmark-transfer":
+            showBookmarkTransfer();
+            break;
+        case "export-bookmarks":
+            exportToSdCard(el.getAttribute('data-format'));
+            break;
+        case "import-bookmarks":
+            showImportFiles();
+            break;
+        case "choose-import-file": {
+            pendingImportFile = el.getAttribute('data-file');
+            const importMenu = document.getElementById('option-menu');
+            importMenu.innerHTML = `
+                <div class="menu-item" style="opacity:0.7;">Import ${escapeHtml(pendingImportFile)}?</div>
+                <div class="menu-item" tabindex="0" data-action="run-import" data-mode="merge">Merge With My Bookmarks</div>
+                <div class="menu-item menu-delete" tabindex="0" data-action="run-import" data-mode="replace">Replace My Bookmarks</div>
+                <div class="menu-item" tabindex="0" data-action="import-bookmarks">Cancel</div>
+            `;
+            focusMenuItem('[data-action="run-import"]');
+            break;
+        }
+        case "run-import":
+            importFromSdCard(pendingImportFile, el.getAttribute('data-mode'));
+            break;
+        case "open-folder":
+            showBookmarks(el.getAttribute('data-id') || null);
+            break;
+        case "bookmark-options":
+            showBookmarkOptions(el.getAttribute('data-id'));
+            break;
+        case "new-folder":
+            openPrompt('Folder name', '', (name) => {
+                if (!name) return;
+                const root = loadBookmarks();
+                const folder = { type: 'folder', id: createBookmarkId(), title: name, items: [] };
+                getFolderItems(root, bookmarkFolderId).push(folder);
+                if (saveBookmarks(root)) {
+                    showNotification('Folder created');
+                } else {
+                    showNotification('Storage full - folder may not save', true);
+                }
+                showBookmarks(bookmarkFolderId, folder.id);
+            });
+            break;
+        case "edit-bookmark-title":
+        case "edit-bookmark-label":
+        case "edit-bookmark-url": {
+            const editId = el.getAttribute('data-id');
+            const found = findBookmarkNode(loadBookmarks().items, editId);
+            if (!found) break;
+            const field = { "edit-bookmark-title": 'title', "edit-bookmark-label": 'label', "edit-bookmark-url": 'url' }[action];
+            const promptLabel = { title: found.node.type === 'folder' ? 'Folder name' : 'Title', label: 'Short label (empty for none)', url: 'URL' }[field];
+            openPrompt(promptLabel, found.node[field] || '', (value) => {
+                if (field === 'url') {
+                    try {
+                        const parsed = new URL(value);
+                        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') throw new Error('Unsupported protocol');
+                        value = parsed.href;
+                    } catch (e) {
+                        showNotification('Invalid URL', true);
+                        return;
+                    }
+                } else if (field === 'title' && !value) {
+                    return;
+                } else if (field === 'label') {
+                    value = value.substring(0, BOOKMARK_LABEL_LENGTH);
+                }
+                updateBookmarkNode(editId, ({ node }) => { node[field] = value; });
+                showNotification('Bookmark updated');
+                showBookmarkOptions(editId);
+            });
+            break;
+        }
+        case "move-bookmark": {
+            const moveId = el.getAttribute('data-id');
+            const dir = parseInt(el.getAttribute('data-dir'), 10);
+            updateBookmarkNode(moveId, ({ list, index }) => {
+                const target = index + dir;
+                if (target < 0 || target >= list.length) return;
+                [list[index], list[target]] = [list[target], list[index]];
+            });
+            showBookmarks(bookmarkFolderId, moveId);
+            break;
+        }
+        case "choose-bookmark-folder":
+            showBookmarkFolderChooser(el.getAttribute('data-id'));
+            break;
+        case "move-bookmark-to": {
+            const moveId = el.getAttribute('data-id');
+            const folderId = el.getAttribute('data-folder') || null;
+            updateBookmarkNode(moveId, ({ list, index }, root) => {
+                const destination = getFolderItems(root, folderId);
+                const [node] = list.splice(index, 1);
+                destination.push(node);
+            });
+            showNotification('Moved');
+            showBookmarks(folderId, moveId);
+            break;
+        }
+        case "delete-bookmark": {
             // Show confirmation before deleting
-            const bookmarkIndex = el.getAttribute('data-index');
-            const bookmarks = JSON.parse(getSafeLocalStorage('bookmarks', "[]"));
-            const bookmarkTitle = bookmarks[bookmarkIndex]?.title || "Bookmark";
+            const bookmarkId = el.getAttribute('data-id');
+            const found = findBookmarkNode(loadBookmarks().items, bookmarkId);
+            const bookmarkTitle = found ? (found.node.type === 'folder' ? 'folder ' + found.node.title : getBookmarkDisplayName(found.node)) : "Bookmark";
             const confirmMenu = document.getElementById('option-menu');
             confirmMenu.innerHTML = `
                 <div class="menu-item" style="opacity:0.7;">Delete "${escapeHtml(bookmarkTitle)}"?</div>
-                <div class="menu-item menu-delete" tabindex="0" data-action="confirm-delete-bookmark" data-index="${bookmarkIndex}">Yes, Delete</div>
+                <div class="menu-item menu-delete" tabindex="0" data-action="confirm-delete-bookmark" data-id="${escapeHtml(bookmarkId)}">Yes, Delete</div>
                 <div class="menu-item" tabindex="0" data-action="cancel-delete">Cancel</div>
             `;
             setTimeout(() => {
@@ -529,11 +5451,10 @@ function handleMenuAction(action) {
                 if (firstItem) firstItem.focus();
             }, 50);
             break;
+        }
         case "confirm-delete-bookmark":
             try {
-                let bookmarks = JSON.parse(getSafeLocalStorage('bookmarks', "[]"));
-                bookmarks.splice(parseInt(el.getAttribute('data-index'), 10), 1);
-                setSafeLocalStorage('bookmarks', JSON.stringify(bookmarks));
+                updateBookmarkNode(el.getAttribute('data-id'), ({ list, index }) => list.splice(index, 1));
                 showNotification('Bookmark deleted');
                 showBookmarks();
             } catch (e) {
@@ -559,9 +5480,9 @@ function handleMenuAction(action) {
             break;
         case "really-clear-all":
             try {
-                setSafeLocalStorage('bookmarks', "[]");
+                saveBookmarks({ version: 2, items: [] });
                 showNotification('All bookmarks deleted');
-                showBookmarks();
+                showBookmarks(null);
             } catch (e) {
                 console.error('Clear bookmarks error:', e);
                 showNotification('Failed to clear bookmarks', true);
@@ -570,19 +5491,438 @@ function handleMenuAction(action) {
         case "cancel-clear-all":
             showBookmarks();
             break;
+        case "view-history":
+            try {
+                showHistory();
+            } catch (e) {
+                console.error('History error:', e);
+                showNotification('Failed to load history', true);
+                resetMainMenu();
+            }
+            break;
+        case "history-search": {
+            // Enter in the search box jumps to the first result
+            const firstResult = document.querySelector('#history-results .menu-item');
+            if (firstResult) firstResult.focus();
+            break;
+        }
+        case "load-history":
+            loadPage(el.getAttribute('data-url'));
+            closeMenu();
+            break;
+        case "delete-history": {
+            const historyUrl = el.getAttribute('data-url');
+            saveBrowsingHistory(getBrowsingHistory().filter(entry => entry.url !== historyUrl));
+            showNotification('History item deleted');
+            const search = document.getElementById('history-search');
+            renderHistoryResults(search ? search.value : '');
+            const nextItem = document.querySelector('#history-results .menu-item') || search;
+            if (nextItem) nextItem.focus();
+            break;
+        }
+        case "history-toggle":
+            setSafeLocalStorage('historyEnabled', isHistoryEnabled() ? 'false' : 'true');
+            el.innerText = "Record History: " + (isHistoryEnabled() ? 'ON' : 'OFF');
+            break;
+        case "confirm-clear-history": {
+            // Show confirmation before clearing history
+            const range = el.getAttribute('data-range');
+            const rangeLabel = { hour: 'from the last hour', day: 'from the last day', all: '' }[range] || '';
+            const historyMenu = document.getElementById('option-menu');
+            historyMenu.innerHTML = `
+                <div class="menu-item" style="opacity:0.7;">Delete ${range === 'all' ? 'ALL history' : 'history ' + rangeLabel}?</div>
+                <div class="menu-item menu-delete" tabindex="0" data-action="really-clear-history" data-range="${escapeHtml(range)}">Yes, Delete</div>
+                <div class="menu-item" tabindex="0" data-action="view-history">Cancel</div>
+            `;
+            setTimeout(() => {
+                const firstItem = historyMenu.querySelector('[data-action="really-clear-history"]');
+                if (firstItem) firstItem.focus();
+            }, 50);
+            break;
+        }
+        case "really-clear-history":
+            try {
+                clearBrowsingHistory(el.getAttribute('data-range'));
+                showNotification('History cleared');
+                showHistory();
+            } catch (e) {
+                console.error('Clear history error:', e);
+                showNotification('Failed to clear history', true);
+            }
+            break;
+        case "search-engines":
+            showSearchEngines();
+            break;
+        case "select-engine":
+            setSafeLocalStorage('searchEngine', el.getAttribute('data-engine'));
+            showNotification('Searching with ' + getActiveSearchEngine().name);
+            showSearchEngines();
+            break;
+        case "delete-engine": {
+            const engineId = el.getAttribute('data-engine');
+            const engines = getCustomSearchEngines().filter(engine => engine.id !== engineId);
+            setSafeLocalStorage('customSearchEngines', JSON.stringify(engines));
+            if (getSafeLocalStorage('searchEngine', 'duckduckgo') === engineId) {
+                setSafeLocalStorage('searchEngine', 'duckduckgo');
+            }
+            showNotification('Search engine deleted');
+            showSearchEngines();
+            break;
+        }
+        case "add-custom-engine":
+            openPrompt('Search URL (use %s for the query)', 'https://', (template) => {
+                if (!isValidSearchTemplate(template)) {
+                    showNotification('URL must start with http and contain %s', true);
+                    return;
+                }
+                openPrompt('Keyword shortcut (optional)', '', (keyword) => {
+                    addCustomSearchEngine(new URL(template.split('%s').join('')).hostname, template, keyword);
+                    showSearchEngines();
+                });
+            });
+            break;
+        case "add-opensearch":
+            addOpenSearchEngine(currentOpenSearchUrl).then(() => {
+                if (isMenuOpen) showSearchEngines();
+            });
+            break;
+        case "extraction-toggle":
+            // Per-site switch between the scored article and the whole page
+            if (!currUrl) {
+                showNotification('Open a page first', true);
+                break;
+            }
+            try {
+                const nextMode = getExtractionMode(currUrl) === 'full' ? 'reader' : 'full';
+                setExtractionMode(currUrl, nextMode);
+                closeMenu();
+                loadPage(currUrl, true);
+            } catch (e) {
+                showNotification('Failed to change view', true);
+            }
+            break;
         case "text-toggle":
-            const sizes = ['xsmall', 'small', 'medium', 'large', 'xlarge'];
-            currentSize = sizes[(sizes.indexOf(currentSize) + 1) % sizes.length];
+            currentSize = TEXT_SIZES[(TEXT_SIZES.indexOf(currentSize) + 1) % TEXT_SIZES.length];
             setSafeLocalStorage('userTextSize', currentSize);
-            document.getElementById('reader').className = 'text-' + currentSize;
-            el.innerText = "Text Size: " + currentSize.toUpperCase();
+            applySiteAppearance(currUrl);
+            el.innerText = "Text Size: " + getGlobalSettingLabel(currentSize.toUpperCase(), 'textSize');
+            break;
+        case "copy-link": {
+            const target = menuLinkTarget;
+            closeMenu();
+            const copied = copyText(target);
+            showNotification(copied ? 'Link copied' : 'Could not copy link', !copied);
+            break;
+        }
+        case "share-link": {
+            const target = menuLinkTarget;
+            closeMenu();
+            shareUrl(target);
+            break;
+        }
+        case "hide-block": {
+            const rule = menuHideRule;
+            closeMenu();
+            openPrompt('Hide blocks matching', rule, (value) => {
+                if (value && addUserFilter(value)) showNotification('Filter rule added');
+            });
+            break;
+        }
+        case "content-blocking":
+            showContentBlocking();
+            break;
+        case "toggle-content-blocking":
+            setSafeLocalStorage('contentBlocking', isContentBlockingEnabled() ? 'false' : 'true');
+            showContentBlocking('[data-action="toggle-content-blocking"]');
+            break;
+        case "add-filter":
+            openPrompt('Rule, e.g. site.com##.promo', '', (value) => {
+                if (value) addUserFilter(value);
+                if (isMenuOpen) showContentBlocking('[data-action="add-filter"]');
+            });
+            break;
+        case "delete-filter": {
+            const filters = getUserFilters();
+            filters.splice(parseInt(el.getAttribute('data-index'), 10), 1);
+            saveUserFilters(filters);
+            showContentBlocking(filters.length ? '[data-action="delete-filter"]' : '[data-action="add-filter"]');
+            break;
+        }
+        case "contents":
+            showContents();
+            break;
+        case "go-to-heading": {
+            const entry = outlineEntries[parseInt(el.getAttribute('data-index'), 10)];
+            closeMenu();
+            if (entry && document.getElementById('reader').contains(entry.el)) scrollReaderToElement(entry.el);
+            break;
+        }
+        case "toggle-heading-jump":
+            setSafeLocalStorage('headingJump', isHeadingJumpEnabled() ? 'false' : 'true');
+            showContents('[data-action="toggle-heading-jump"]');
+            break;
+        case "read-aloud":
+            closeMenu();
+            startReadAloud();
+            break;
+        case "speech-settings":
+            showSpeechSettings();
+            // Voices can arrive after the first getVoices() call
+            if ('speechSynthesis' in window && speechSynthesis.getVoices().length === 0) {
+                speechSynthesis.onvoiceschanged = () => {
+                    speechSynthesis.onvoiceschanged = null;
+                    if (isMenuOpen && document.querySelector('#option-menu [data-action="cycle-speech-rate"]')) showSpeechSettings();
+                };
+            }
+            break;
+        case "cycle-speech-rate":
+            setSafeLocalStorage('readAloudRate', READ_ALOUD_RATES[(READ_ALOUD_RATES.indexOf(getReadAloudRate()) + 1) % READ_ALOUD_RATES.length]);
+            showSpeechSettings('[data-action="cycle-speech-rate"]');
+            break;
+        case "set-speech-voice": {
+            const voiceUri = el.getAttribute('data-voice');
+            setSafeLocalStorage('readAloudVoice', voiceUri);
+            showSpeechSettings('[data-action="set-speech-voice"][data-current]');
+            break;
+        }
+        case "request-settings":
+            showRequestSettings();
+            break;
+        case "cycle-user-agent": {
+            const agents = Object.keys(USER_AGENTS);
+            setSafeLocalStorage('userAgent', agents[(agents.indexOf(getUserAgentId()) + 1) % agents.length]);
+            showRequestSettings('[data-action="cycle-user-agent"]');
             break;
-        case "color-toggle":
-            const colors = ['light', 'dark', 'sepia', 'darkblue', 'terminal'];
-            colorMode = colors[(colors.indexOf(colorMode) + 1) % colors.length];
-            setSafeLocalStorage('colorMode', colorMode);
-            applyColorMode(colorMode);
-            el.innerText = "Color Mode: " + colorMode.toUpperCase();
+        }
+        case "set-accept-language":
+            openPrompt('Languages, e.g. en-US,en;q=0.8 (empty for default)', getSafeLocalStorage('acceptLanguage', ''), (value) => {
+                setSafeLocalStorage('acceptLanguage', value.replace(/[^\w\s,;=.*-]/g, ''));
+                if (isMenuOpen) showRequestSettings('[data-action="set-accept-language"]');
+            });
+            break;
+        case "toggle-cookies":
+            setSafeLocalStorage('cookiesEnabled', areCookiesEnabled() ? 'false' : 'true');
+            showRequestSettings('[data-action="toggle-cookies"]');
+            break;
+        case "view-cookies":
+            showCookies();
+            break;
+        case "clear-cookies": {
+            const domain = el.getAttribute('data-domain');
+            clearCookies(domain);
+            showNotification(domain ? 'Cookies cleared for ' + domain : 'All cookies cleared');
+            showCookies();
+            break;
+        }
+        case "site-settings":
+            showSiteSettings(el.getAttribute('data-site'));
+            break;
+        case "view-all-sites":
+            showAllSiteSettings();
+            break;
+        case "site-cycle": {
+            const siteKey = el.getAttribute('data-site');
+            const field = el.getAttribute('data-field');
+            const site = getAllSiteSettings()[siteKey] || {};
+            const values = {
+                textSize: TEXT_SIZES,
+                colorMode: getColorModes(),
+                extraction: ['reader', 'full'],
+                imageMode: IMAGE_MODES,
+                encoding: ENCODING_CHOICES,
+                userAgent: Object.keys(USER_AGENTS)
+            }[field];
+            // Site keys are origins, which work as URLs for the setters
+            setSiteSetting(siteKey + '/', field, cycleSiteValue(site[field], values));
+            if (siteKey === getSiteKey(currUrl)) applySiteAppearance(currUrl);
+            showSiteSettings(siteKey, `[data-action="site-cycle"][data-field="${field}"]`);
+            break;
+        }
+        case "site-add-header": {
+            const siteKey = el.getAttribute('data-site');
+            openPrompt('Header, e.g. DNT: 1', '', (value) => {
+                const separator = value.indexOf(':');
+                const name = separator > 0 ? value.slice(0, separator).trim() : '';
+                if (!isValidHeaderName(name)) {
+                    if (value) showNotification('Use the form Name: value', true);
+                    return;
+                }
+                const headers = (getAllSiteSettings()[siteKey] || {}).headers || [];
+                headers.push({ name, value: value.slice(separator + 1).trim() });
+                setSiteSetting(siteKey + '/', 'headers', headers);
+                if (isMenuOpen) showSiteSettings(siteKey, '[data-action="site-add-header"]');
+            });
+            break;
+        }
+        case "site-remove-header": {
+            const siteKey = el.getAttribute('data-site');
+            const headers = ((getAllSiteSettings()[siteKey] || {}).headers || []).slice();
+            headers.splice(parseInt(el.getAttribute('data-index'), 10), 1);
+            setSiteSetting(siteKey + '/', 'headers', headers);
+            showSiteSettings(siteKey, '[data-action="site-add-header"]');
+            break;
+        }
+        case "site-reset": {
+            const siteKey = el.getAttribute('data-site');
+            resetSiteSettings(siteKey);
+            if (siteKey === getSiteKey(currUrl)) applySiteAppearance(currUrl);
+            showNotification('Site settings reset');
+            showSiteSettings(siteKey);
+            break;
+        }
+        case "site-reset-all":
+            resetSiteSettings(null);
+            applySiteAppearance(currUrl);
+            showNotification('All site settings reset');
+            showAllSiteSettings();
+            break;
+        case "encoding-menu":
+            if (!currUrl) {
+                showNotification('Open a page first', true);
+                break;
+            }
+            showEncodings();
+            break;
+        case "select-encoding":
+            // Stored per site and applied by reloading the page
+            try {
+                setEncodingOverride(currUrl, el.getAttribute('data-encoding'));
+                closeMenu();
+                loadPage(currUrl, true);
+            } catch (e) {
+                showNotification('Failed to change encoding', true);
+            }
+            break;
+        case "table-toggle":
+            // Takes effect from the next page load
+            setSafeLocalStorage('tableMode', getTableMode() === 'cards' ? 'scroll' : 'cards');
+            el.innerText = "Tables: " + getTableMode().toUpperCase();
+            break;
+        case "image-toggle":
+            // Takes effect from the next page load
+            cycleImageMode();
+            el.innerText = "Images: " + getImageModeLabel();
+            break;
+        case "color-toggle": {
+            const modes = getColorModes();
+            setColorMode(modes[(modes.indexOf(colorMode) + 1) % modes.length]);
+            el.innerText = "Color Mode: " + getGlobalSettingLabel(getColorModeLabel(colorMode), 'colorMode');
+            break;
+        }
+        case "view-themes":
+            showThemes();
+            break;
+        case "select-theme":
+            setColorMode(el.getAttribute('data-mode'));
+            showThemes();
+            break;
+        case "new-theme":
+            startThemeEditor(null);
+            break;
+        case "edit-theme":
+            startThemeEditor(el.getAttribute('data-mode'));
+            break;
+        case "delete-theme":
+            deleteCustomTheme(el.getAttribute('data-mode'));
+            showNotification('Theme deleted');
+            showThemes('[data-action="new-theme"]');
+            break;
+        case "cycle-auto-theme": {
+            const slot = el.getAttribute('data-slot');
+            const settings = getAutoThemeSettings();
+            const modes = getColorModes().filter(mode => mode !== 'auto');
+            settings[slot] = modes[(modes.indexOf(settings[slot]) + 1) % modes.length];
+            saveAutoThemeSettings(settings);
+            if (colorMode === 'auto') applyColorMode(colorMode);
+            showThemes(`[data-action="cycle-auto-theme"][data-slot="${slot}"]`);
+            break;
+        }
+        case "toggle-auto-source": {
+            const settings = getAutoThemeSettings();
+            settings.source = settings.source === 'light' ? 'time' : 'light';
+            saveAutoThemeSettings(settings);
+            if (colorMode === 'auto') applyColorMode(colorMode);
+            if (settings.source === 'light' && !('ondevicelight' in window)) {
+                showNotification('No light sensor - using time of day', true);
+            }
+            showThemes('[data-action="toggle-auto-source"]');
+            break;
+        }
+        case "set-auto-hour": {
+            const slot = el.getAttribute('data-slot');
+            const settings = getAutoThemeSettings();
+            openPrompt(slot === 'dayStart' ? 'Day starts at hour (0-23)' : 'Night starts at hour (0-23)', String(settings[slot]), (value) => {
+                const hour = parseInt(value, 10);
+                if (isNaN(hour) || hour < 0 || hour > 23) {
+                    showNotification('Enter an hour from 0 to 23', true);
+                    return;
+                }
+                settings[slot] = hour;
+                saveAutoThemeSettings(settings);
+                if (colorMode === 'auto') applyColorMode(colorMode);
+                if (isMenuOpen) showThemes(`[data-action="set-auto-hour"][data-slot="${slot}"]`);
+            });
+            break;
+        }
+        case "theme-rename":
+            openPrompt('Theme name', themeDraft.name, (value) => {
+                if (value && themeDraft) themeDraft.name = value.slice(0, 30);
+                if (isMenuOpen && themeDraft) showThemeEditor('[data-action="theme-rename"]');
+            });
+            break;
+        case "theme-edit-color": {
+            const field = el.getAttribute('data-theme-field');
+            openPrompt('Hex color, e.g. #336699', themeDraft.colors[field], (value) => {
+                const hex = normalizeHexColor(value);
+                if (!hex) {
+                    if (value) showNotification('Not a hex color', true);
+                    return;
+                }
+                if (themeDraft) setThemeDraftColor(field, hex);
+            });
+            break;
+        }
+        case "theme-cycle-font": {
+            const index = THEME_FONTS.findIndex(font => font.value === themeDraft.fontFamily);
+            themeDraft.fontFamily = THEME_FONTS[(index + 1) % THEME_FONTS.length].value;
+            applyTheme(themeDraft);
+            showThemeEditor('[data-action="theme-cycle-font"]');
+            break;
+        }
+        case "theme-cycle-line-height": {
+            const index = THEME_LINE_HEIGHTS.indexOf(themeDraft.lineHeight);
+            themeDraft.lineHeight = THEME_LINE_HEIGHTS[(index + 1) % THEME_LINE_HEIGHTS.length];
+            applyTheme(themeDraft);
+            showThemeEditor('[data-action="theme-cycle-line-height"]');
+            break;
+        }
+        case "theme-save":
+            saveThemeDraft();
+            showThemes();
+            break;
+        case "theme-cancel":
+            discardThemeDraft();
+            showThemes();
+            break;
+        case "keyboard-shortcuts":
+            showKeyboardShortcuts();
+            break;
+        case "choose-shortcut":
+            showShortcutChooser(el.getAttribute('data-key'));
+            break;
+        case "set-shortcut": {
+            const key = el.getAttribute('data-key');
+            setKeyBinding(key, el.getAttribute('data-shortcut'));
+            showKeyboardShortcuts(`[data-action="choose-shortcut"][data-key="${key}"]`);
+            break;
+        }
+        case "reset-shortcuts":
+            setSafeLocalStorage('keyMap', '{}');
+            showNotification('Shortcuts reset');
+            showKeyboardShortcuts('[data-action="reset-shortcuts"]');
+            break;
+        case "key-help":
+            openKeyHelp();
             break;
         case "about":
             openAbout();
@@ -593,14 +5933,309 @@ function handleMenuAction(action) {
     }
 }
 
-// --- COLOR MODE APPLICATION ---
-function applyColorMode(mode) {
+// --- COLOR MODES & THEMES ---
+// colorMode is a built-in name, 'custom:<id>' for a theme from the editor, or 'auto'.
+// Custom themes are stored under 'customThemes' and applied as CSS variables on a
+// 'color-custom' body class; 'autoTheme' holds the day/night choice for auto mode.
+const BUILTIN_COLOR_MODES = ['light', 'dark', 'sepia', 'darkblue', 'terminal'];
+const THEME_COLOR_FIELDS = [
+    ['background', 'Background'],
+    ['text', 'Text'],
+    ['link', 'Links'],
+    ['selectedBackground', 'Selected link'],
+    ['selectedText', 'Selected link text'],
+    ['menuBackground', 'Menu'],
+    ['menuText', 'Menu text'],
+    ['softkeyBackground', 'Softkeys'],
+    ['softkeyText', 'Softkey text']
+];
+const THEME_FONTS = [
+    { label: 'SANS', value: "'Open Sans', sans-serif" },
+    { label: 'SERIF', value: 'Georgia, serif' },
+    { label: 'MONO', value: "'Courier New', monospace" }
+];
+const THEME_LINE_HEIGHTS = [1.2, 1.4, 1.6, 1.8, 2];
+// Quick picks for ArrowLeft/Right on a color field; any hex code can be typed instead
+const THEME_PALETTE = [
+    '#000000', '#222222', '#444444', '#888888', '#dddddd', '#ffffff', '#f4efd3', '#5a4a2a',
+    '#0a1929', '#e0e7ff', '#00ccff', '#0066cc', '#1e40af', '#8b4513', '#ff6000', '#7a2600',
+    '#cc0000', '#ffcc00', '#00ff00', '#003a00'
+];
+const DEFAULT_THEME_COLORS = {
+    background: '#000000', text: '#ffffff', link: '#00ccff', selectedBackground: '#7a2600', selectedText: '#ffffff',
+    menuBackground: '#222222', menuText: '#eeeeee', softkeyBackground: '#222222', softkeyText: '#ffffff'
+};
+const AUTO_THEME_CHECK_INTERVAL = 60 * 1000;
+const NIGHT_LUX = 10; // Switch to night below this ambient light level...
+const DAY_LUX = 50; // ...and back to day above this one, so the theme does not flicker
+let themeDraft = null; // Theme being edited; previewed live until saved or cancelled
+let autoThemeTimer = null;
+let ambientLux = null; // Last devicelight reading, null until the sensor reports
+let isAmbientDark = false;
+
+function getCustomThemes() {
+    try {
+        const themes = JSON.parse(getSafeLocalStorage('customThemes', "[]"));
+        return Array.isArray(themes) ? themes.map(normalizeCustomTheme).filter(Boolean) : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+// A stored theme rebuilt from known fields only (themes can come from restored backups);
+// null when it has no usable id
+function normalizeCustomTheme(theme) {
+    if (!theme || typeof theme.id !== 'string' || !/^[\w-]+$/.test(theme.id)) return null;
+    const colors = {};
+    THEME_COLOR_FIELDS.forEach(([field]) => {
+        colors[field] = normalizeHexColor(theme.colors && typeof theme.colors[field] === 'string' ? theme.colors[field] : '') ||
+            DEFAULT_THEME_COLORS[field];
+    });
+    const font = THEME_FONTS.find(f => f.value === theme.fontFamily) || THEME_FONTS[0];
+    const lineHeight = THEME_LINE_HEIGHTS.includes(theme.lineHeight) ? theme.lineHeight : 1.4;
+    const name = typeof theme.name === 'string' && theme.name.trim() ? theme.name.trim().slice(0, 60) : 'Custom Theme';
+    return { id: theme.id, name, colors, fontFamily: font.value, lineHeight };
+}
+
+function saveCustomThemes(themes) {
+    return setSafeLocalStorage('customThemes', JSON.stringify(themes));
+}
+
+function getCustomTheme(mode) {
+    if (typeof mode !== 'string' || !mode.startsWith('custom:')) return null;
+    const id = mode.slice('custom:'.length);
+    return getCustomThemes().find(theme => theme.id === id) || null;
+}
+
+function getAutoThemeSettings() {
+    const defaults = { day: 'light', night: 'dark', source: 'time', dayStart: 7, nightStart: 19 };
+    try {
+        const settings = JSON.parse(getSafeLocalStorage('autoTheme', "{}"));
+        return Object.assign(defaults, settings && typeof settings === 'object' ? settings : {});
+    } catch (e) {
+        return defaults;
+    }
+}
+
+function saveAutoThemeSettings(settings) {
+    return setSafeLocalStorage('autoTheme', JSON.stringify(settings));
+}
+
+// Every selectable mode, in Color Mode cycling order
+function getColorModes() {
+    return BUILTIN_COLOR_MODES.concat(getCustomThemes().map(theme => 'custom:' + theme.id), ['auto']);
+}
+
+function getColorModeLabel(mode) {
+    if (mode === 'auto') return 'AUTO';
+    const custom = getCustomTheme(mode);
+    return (custom ? custom.name : mode).toUpperCase();
+}
+
+function isNightTime(settings) {
+    if (settings.source === 'light' && ambientLux !== null) return isAmbientDark;
+    const hour = new Date().getHours();
+    const { dayStart, nightStart } = settings;
+    return dayStart <= nightStart ? (hour < dayStart || hour >= nightStart) : (hour >= nightStart && hour < dayStart);
+}
+
+// A mode that may be stored: built-in, 'auto' or a custom theme reference
+function isStorableColorMode(mode) {
+    return typeof mode === 'string' && (BUILTIN_COLOR_MODES.includes(mode) || mode === 'auto' || /^custom:[\w-]+$/.test(mode));
+}
+
+// The mode auto currently stands for; never 'auto' itself
+function resolveColorMode(mode) {
+    if (mode !== 'auto') return mode;
+    const settings = getAutoThemeSettings();
+    const resolved = isNightTime(settings) ? settings.night : settings.day;
+    return resolved === 'auto' ? 'light' : resolved;
+}
+
+function onDeviceLight(event) {
+    ambientLux = event.value;
+    if (ambientLux < NIGHT_LUX) isAmbientDark = true;
+    else if (ambientLux > DAY_LUX) isAmbientDark = false;
+    if (colorMode === 'auto' && !themeDraft) applyTheme(resolveColorMode('auto'));
+}
+
+function startAutoTheme() {
+    if (autoThemeTimer) return;
+    autoThemeTimer = setInterval(() => {
+        if (!themeDraft) applyTheme(resolveColorMode('auto'));
+    }, AUTO_THEME_CHECK_INTERVAL);
+    window.addEventListener('devicelight', onDeviceLight);
+}
+
+function stopAutoTheme() {
+    if (!autoThemeTimer) return;
+    clearInterval(autoThemeTimer);
+    autoThemeTimer = null;
+    window.removeEventListener('devicelight', onDeviceLight);
+}
+
+// selectedBackground -> --theme-selected-background
+function getThemeProperty(field) {
+    return '--theme-' + field.replace(/[A-Z]/g, c => '-' + c.toLowerCase());
+}
+
+// `theme` is a built-in name, a 'custom:<id>' mode or a theme object (for editor previews)
+function applyTheme(theme) {
     const body = document.body;
-    body.className = 'color-' + mode;
+    const custom = typeof theme === 'object' ? theme : getCustomTheme(theme);
+    THEME_COLOR_FIELDS.forEach(([field]) => body.style.removeProperty(getThemeProperty(field)));
+    body.style.removeProperty('--theme-font');
+    body.style.removeProperty('--theme-line-height');
+
+    if (!custom) {
+        body.className = 'color-' + (BUILTIN_COLOR_MODES.includes(theme) ? theme : 'light');
+        return;
+    }
+    body.className = 'color-custom';
+    THEME_COLOR_FIELDS.forEach(([field]) => {
+        body.style.setProperty(getThemeProperty(field), custom.colors[field] || DEFAULT_THEME_COLORS[field]);
+    });
+    body.style.setProperty('--theme-font', custom.fontFamily || THEME_FONTS[0].value);
+    body.style.setProperty('--theme-line-height', String(custom.lineHeight || 1.4));
+}
+
+function applyColorMode(mode) {
+    if (mode === 'auto') startAutoTheme();
+    else stopAutoTheme();
+    applyTheme(resolveColorMode(mode));
+}
+
+function setColorMode(mode) {
+    colorMode = mode;
+    setSafeLocalStorage('colorMode', colorMode);
+    applySiteAppearance(currUrl);
+}
+
+function normalizeHexColor(value) {
+    const match = (value || '').trim().match(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i);
+    if (!match) return '';
+    const hex = match[1].length === 3 ? match[1].replace(/./g, c => c + c) : match[1];
+    return '#' + hex.toLowerCase();
+}
+
+function showThemes(focusSelector = null) {
+    const menu = document.getElementById('option-menu');
+    const auto = getAutoThemeSettings();
+    const mark = (mode) => mode === colorMode ? '✓ ' : '';
+
+    let html = '<div class="menu-item" tabindex="0" data-action="main-menu">← Back to Main Menu</div>';
+    html += '<div class="menu-heading">Built-in</div>';
+    BUILTIN_COLOR_MODES.forEach(mode => {
+        html += `<div class="menu-item" tabindex="0" data-action="select-theme" data-mode="${mode}">${mark(mode)}${mode.toUpperCase()}</div>`;
+    });
+
+    html += '<div class="menu-heading">Custom</div>';
+    getCustomThemes().forEach(theme => {
+        const mode = 'custom:' + theme.id;
+        html += `<div class="menu-item" tabindex="0" data-action="select-theme" data-mode="${escapeHtml(mode)}">${mark(mode)}${escapeHtml(theme.name)}</div>`;
+        html += `<div class="menu-item menu-option" tabindex="0" data-action="edit-theme" data-mode="${escapeHtml(mode)}">[Edit Theme]</div>`;
+        html += `<div class="menu-item menu-delete" tabindex="0" data-action="delete-theme" data-mode="${escapeHtml(mode)}">[Delete Theme]</div>`;
+    });
+    html += '<div class="menu-item" tabindex="0" data-action="new-theme">+ New Theme</div>';
+
+    html += '<div class="menu-heading">Auto (day / night)</div>';
+    html += `<div class="menu-item" tabindex="0" data-action="select-theme" data-mode="auto">${mark('auto')}Use Auto</div>`;
+    html += `<div class="menu-item" tabindex="0" data-action="cycle-auto-theme" data-slot="day">Day Theme: ${escapeHtml(getColorModeLabel(auto.day))}</div>`;
+    html += `<div class="menu-item" tabindex="0" data-action="cycle-auto-theme" data-slot="night">Night Theme: ${escapeHtml(getColorModeLabel(auto.night))}</div>`;
+    html += `<div class="menu-item" tabindex="0" data-action="toggle-auto-source">Switch By: ${auto.source === 'light' ? 'LIGHT SENSOR' : 'TIME'}</div>`;
+    if (auto.source === 'time') {
+        html += `<div class="menu-item" tabindex="0" data-action="set-auto-hour" data-slot="dayStart">Day From: ${auto.dayStart}:00</div>`;
+        html += `<div class="menu-item" tabindex="0" data-action="set-auto-hour" data-slot="nightStart">Night From: ${auto.nightStart}:00</div>`;
+    }
+
+    menu.innerHTML = html;
+    focusMenuItem(focusSelector || `[data-action="select-theme"][data-mode="${colorMode}"]`);
+}
+
+function startThemeEditor(mode) {
+    const existing = getCustomTheme(mode);
+    // New themes start from the dark defaults
+    themeDraft = existing ? JSON.parse(JSON.stringify(existing)) : {
+        id: createId('t'),
+        name: 'My Theme ' + (getCustomThemes().length + 1),
+        colors: Object.assign({}, DEFAULT_THEME_COLORS),
+        fontFamily: THEME_FONTS[0].value,
+        lineHeight: 1.4
+    };
+    applyTheme(themeDraft);
+    showThemeEditor();
+}
+
+function showThemeEditor(focusSelector = null) {
+    const menu = document.getElementById('option-menu');
+    const font = THEME_FONTS.find(f => f.value === themeDraft.fontFamily) || THEME_FONTS[0];
+
+    let html = `<div class="menu-heading">Editing theme · ←/→ picks a color, OK types a hex code</div>`;
+    html += `<div class="menu-item" tabindex="0" data-action="theme-rename">Name: ${escapeHtml(themeDraft.name)}</div>`;
+    THEME_COLOR_FIELDS.forEach(([field, label]) => {
+        const value = escapeHtml(normalizeHexColor(themeDraft.colors[field]) || DEFAULT_THEME_COLORS[field]);
+        html += `<div class="menu-item theme-color" tabindex="0" data-action="theme-edit-color" data-theme-field="${field}"><span class="theme-swatch" style="background:${value}"></span>${label}: ${value}</div>`;
+    });
+    html += `<div class="menu-item" tabindex="0" data-action="theme-cycle-font">Font: ${font.label}</div>`;
+    html += `<div class="menu-item" tabindex="0" data-action="theme-cycle-line-height">Line Height: ${escapeHtml(String(themeDraft.lineHeight))}</div>`;
+    html += '<div class="menu-item" tabindex="0" data-action="theme-save">Save Theme</div>';
+    html += '<div class="menu-item menu-delete" tabindex="0" data-action="theme-cancel">Cancel</div>';
+
+    menu.innerHTML = html;
+    focusMenuItem(focusSelector);
+}
+
+function setThemeDraftColor(field, value) {
+    themeDraft.colors[field] = value;
+    applyTheme(themeDraft);
+    showThemeEditor(`[data-theme-field="${field}"]`);
+}
+
+// ArrowLeft/Right on a color field steps through THEME_PALETTE
+function cycleThemeDraftColor(field, direction) {
+    const index = THEME_PALETTE.indexOf(themeDraft.colors[field]);
+    const next = index === -1 ? (direction > 0 ? 0 : THEME_PALETTE.length - 1) :
+        (index + direction + THEME_PALETTE.length) % THEME_PALETTE.length;
+    setThemeDraftColor(field, THEME_PALETTE[next]);
+}
+
+function saveThemeDraft() {
+    const themes = getCustomThemes();
+    const index = themes.findIndex(theme => theme.id === themeDraft.id);
+    if (index === -1) themes.push(themeDraft);
+    else themes[index] = themeDraft;
+    saveCustomThemes(themes);
+    const mode = 'custom:' + themeDraft.id;
+    themeDraft = null;
+    setColorMode(mode);
+    showNotification('Theme saved');
+}
+
+// Drop unsaved edits and put the active mode back
+function discardThemeDraft() {
+    if (!themeDraft) return;
+    themeDraft = null;
+    applySiteAppearance(currUrl);
+}
+
+function deleteCustomTheme(mode) {
+    const id = mode.slice('custom:'.length);
+    saveCustomThemes(getCustomThemes().filter(theme => theme.id !== id));
+    const auto = getAutoThemeSettings();
+    if (auto.day === mode) auto.day = 'light';
+    if (auto.night === mode) auto.night = 'dark';
+    saveAutoThemeSettings(auto);
+    if (colorMode === mode) setColorMode('light');
+    else applySiteAppearance(currUrl);
 }
 
 // --- POPUP CONTROLS ---
 function openMenu() {
+    // Remember the selected link so link actions can offer it
+    const selectedLink = document.querySelector('#reader a.kai-link.link-selected[href]');
+    menuLinkTarget = selectedLink ? selectedLink.href : '';
+    const selectedItem = document.querySelector('#reader .link-selected');
+    menuHideRule = selectedItem ? buildHideRule(selectedItem, currUrl) : '';
     resetMainMenu();
 
     // Disable reader interaction when menu is open
@@ -638,6 +6273,7 @@ function openMenu() {
 
 function closeMenu() {
     isMenuOpen = false;
+    discardThemeDraft();
 
     // Re-enable reader and hide menu
     const readerEl = document.getElementById('reader');
@@ -669,6 +6305,196 @@ function closeAbout() {
     updateSoftkeyLabels();
 }
 
+// --- KEYPAD SHORTCUTS ---
+// 0-9, * and # run the actions below. The map is stored under 'keyMap' as { [key]: actionId },
+// '' for an unbound key; keys missing from it fall back to DEFAULT_KEY_MAP.
+const KEYPAD_KEYS = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '*', '0', '#'];
+const DEFAULT_KEY_MAP = {
+    '2': 'page-up', '8': 'page-down', '5': 'top', '0': 'url-bar',
+    '1': 'add-bookmark', '3': 'find', '4': 'link-hints', '*': 'back', '#': 'forward'
+};
+const SHORTCUT_ACTIONS = {
+    'page-up': { label: 'Page Up' },
+    'page-down': { label: 'Page Down' },
+    'top': { label: 'Go to Top' },
+    'bottom': { label: 'Go to Bottom' },
+    'link-hints': { label: 'Link Hints' },
+    'url-bar': { label: 'URL Bar' },
+    'back': { label: 'Go Back' },
+    'forward': { label: 'Go Forward' },
+    'refresh': { label: 'Refresh Page' },
+    'find': { label: 'Find in Page' },
+    'read-aloud': { label: 'Read Aloud' },
+    'contents': { label: 'Contents' },
+    'add-bookmark': { label: 'Add Bookmark' },
+    'bookmarks': { label: 'My Bookmarks' },
+    'history': { label: 'History' },
+    'reading-list': { label: 'Reading List' },
+    'feeds': { label: 'Feeds' },
+    'tabs': { label: 'Tabs' },
+    'help': { label: 'Keyboard Help' }
+};
+
+function getKeyMap() {
+    let stored = {};
+    try {
+        stored = JSON.parse(getSafeLocalStorage('keyMap', "{}")) || {};
+    } catch (e) { }
+    const map = Object.assign({}, DEFAULT_KEY_MAP);
+    KEYPAD_KEYS.forEach(key => {
+        if (key in stored && (stored[key] === '' || SHORTCUT_ACTIONS[stored[key]])) map[key] = stored[key];
+    });
+    return map;
+}
+
+function setKeyBinding(key, actionId) {
+    const map = getKeyMap();
+    map[key] = actionId;
+    setSafeLocalStorage('keyMap', JSON.stringify(map));
+}
+
+function getShortcutLabel(actionId) {
+    return SHORTCUT_ACTIONS[actionId] ? SHORTCUT_ACTIONS[actionId].label : 'None';
+}
+
+function runShortcut(actionId) {
+    const reader = document.getElementById('reader');
+    if (!SHORTCUT_ACTIONS[actionId]) return;
+    switch (actionId) {
+        case 'top':
+            reader.scrollTo(0, 0);
+            break;
+        case 'page-up':
+            reader.scrollBy(0, -window.innerHeight * 0.75);
+            break;
+        case 'page-down':
+            reader.scrollBy(0, window.innerHeight * 0.75);
+            break;
+        case 'bottom':
+            reader.scrollTo(0, reader.scrollHeight);
+            break;
+        case 'url-bar':
+            toggleUrlBar();
+            break;
+        case 'back':
+            if (activeActivity && historyStack.length <= activityReturnDepth) finishActivity();
+            else if (historyStack.length > 0) goBack();
+            break;
+        case 'forward':
+            goForward();
+            break;
+        case 'help':
+            openKeyHelp();
+            break;
+        case 'link-hints':
+            startLinkHints();
+            break;
+        case 'refresh':
+            if (currUrl) loadPage(currUrl);
+            break;
+        case 'find':
+            openFind();
+            break;
+        case 'read-aloud':
+            startReadAloud();
+            break;
+        case 'add-bookmark':
+            try {
+                bookmarkCurrentPage();
+            } catch (e) {
+                showNotification('Failed to save bookmark', true);
+            }
+            break;
+        // The rest are menu screens
+        case 'contents':
+            openMenu();
+            showContents();
+            break;
+        case 'bookmarks':
+            openMenu();
+            showBookmarks(null);
+            break;
+        case 'history':
+            openMenu();
+            showHistory();
+            break;
+        case 'reading-list':
+            openMenu();
+            showReadingList();
+            break;
+        case 'feeds':
+            openMenu();
+            showFeeds();
+            break;
+        case 'tabs':
+            openMenu();
+            showTabs();
+            break;
+    }
+}
+
+function showKeyboardShortcuts(focusSelector = null) {
+    const menu = document.getElementById('option-menu');
+    const map = getKeyMap();
+    let html = '<div class="menu-item" tabindex="0" data-action="main-menu">← Back to Main Menu</div>';
+    html += '<div class="menu-item" tabindex="0" data-action="key-help">Show Keyboard Help</div>';
+    html += '<div class="menu-heading">Select a key to rebind it</div>';
+    KEYPAD_KEYS.forEach(key => {
+        html += `<div class="menu-item" tabindex="0" data-action="choose-shortcut" data-key="${key}">${key}: ${escapeHtml(getShortcutLabel(map[key]))}</div>`;
+    });
+    html += '<div class="menu-item menu-delete" tabindex="0" data-action="reset-shortcuts">[Reset to Defaults]</div>';
+    menu.innerHTML = html;
+    focusMenuItem(focusSelector);
+}
+
+function showShortcutChooser(key) {
+    const menu = document.getElementById('option-menu');
+    const current = getKeyMap()[key] || '';
+    let html = `<div class="menu-item" tabindex="0" data-action="keyboard-shortcuts">← Back to Shortcuts</div>`;
+    html += `<div class="menu-heading">Key ${key}</div>`;
+    [''].concat(Object.keys(SHORTCUT_ACTIONS)).forEach(actionId => {
+        const isCurrent = actionId === current;
+        html += `<div class="menu-item" tabindex="0" data-action="set-shortcut" data-key="${key}" data-shortcut="${actionId}"${isCurrent ? ' data-current' : ''}>${isCurrent ? '✓ ' : ''}${escapeHtml(getShortcutLabel(actionId))}</div>`;
+    });
+    menu.innerHTML = html;
+    focusMenuItem('[data-action="set-shortcut"][data-current]');
+}
+
+// Full-screen list of every key and what it does
+function openKeyHelp() {
+    if (isMenuOpen) closeMenu();
+    const map = getKeyMap();
+    let html = '<h3>Keyboard Help</h3><dl>';
+    [
+        ['Up / Down', 'Select links'],
+        ['Left / Right', isHeadingJumpEnabled() ? 'Previous / next heading' : 'Scroll wide tables'],
+        ['OK', 'Open the selected link'],
+        ['Back', 'Previous page'],
+        ['Left key', 'URL bar'],
+        ['Right key', 'Menu'],
+        ['Volume', 'Scroll the page']
+    ].forEach(([key, text]) => {
+        html += `<dt>${key}</dt><dd>${text}</dd>`;
+    });
+    KEYPAD_KEYS.filter(key => map[key]).forEach(key => {
+        html += `<dt>${key}</dt><dd>${escapeHtml(getShortcutLabel(map[key]))}</dd>`;
+    });
+    html += '</dl><p class="help-footer">Change keypad keys under Menu › Keyboard Shortcuts</p>';
+    const content = document.getElementById('help-content');
+    content.innerHTML = html;
+    content.scrollTop = 0;
+    document.getElementById('help-screen').classList.remove('hidden');
+    isHelpOpen = true;
+    updateSoftkeyLabels();
+}
+
+function closeKeyHelp() {
+    isHelpOpen = false;
+    document.getElementById('help-screen').classList.add('hidden');
+    document.getElementById('reader').focus();
+    updateSoftkeyLabels();
+}
+
 // --- HARDWARE INPUT ENGINE ---
 window.addEventListener('keydown', (e) => {
     // 1. Volume Keys - Scroll reader only, never interrupt scroll at boundaries
@@ -698,6 +6524,93 @@ window.addEventListener('keydown', (e) => {
         return;
     }
 
+    if (isHelpOpen) {
+        if (['Backspace', 'Enter', 'SoftRight', 'F2', 'Escape'].includes(e.key)) {
+            e.preventDefault();
+            closeKeyHelp();
+        } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            document.getElementById('help-content').scrollBy(0, e.key === 'ArrowDown' ? 60 : -60);
+        }
+        return;
+    }
+
+    // 2.5 Text Prompt - Enter confirms, SoftLeft or Backspace on empty input cancels
+    if (isPromptOpen) {
+        const input = document.getElementById('prompt-input');
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            closePrompt(true);
+        } else if (e.key === 'SoftLeft' || e.key === 'F1' || e.key === 'Escape' ||
+            (e.key === 'Backspace' && input.value.length === 0)) {
+            e.preventDefault();
+            closePrompt(false);
+        }
+        return;
+    }
+
+    // 2.75 Find in Page - D-Pad moves between matches until dismissed
+    if (isFindActive && !isMenuOpen && !isUrlBarOpen) {
+        if (['ArrowDown', 'ArrowRight', 'Enter'].includes(e.key)) {
+            e.preventDefault();
+            goToFindMatch(findIndex + 1);
+            return;
+        }
+        if (e.key === 'ArrowUp' || e.key === 'ArrowLeft') {
+            e.preventDefault();
+            goToFindMatch(findIndex - 1);
+            return;
+        }
+        if (e.key === 'SoftLeft' || e.key === 'F1') {
+            e.preventDefault();
+            openFind();
+            return;
+        }
+        if (['Backspace', 'Escape', 'SoftRight', 'F2'].includes(e.key)) {
+            e.preventDefault();
+            endFind();
+            return;
+        }
+    }
+
+    // 2.8 Read Aloud - OK pauses/resumes, D-Pad and Skip move between blocks, Back stops; Menu stays on SoftRight
+    if (isReadingAloud && !isMenuOpen && !isUrlBarOpen) {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            toggleReadAloudPause();
+            return;
+        }
+        if (['ArrowDown', 'ArrowRight', 'SoftLeft', 'F1'].includes(e.key)) {
+            e.preventDefault();
+            speakReadAloudBlock(readAloudIndex + 1);
+            return;
+        }
+        if (e.key === 'ArrowUp' || e.key === 'ArrowLeft') {
+            e.preventDefault();
+            speakReadAloudBlock(readAloudIndex - 1);
+            return;
+        }
+        if (e.key === 'Backspace' || e.key === 'Escape') {
+            e.preventDefault();
+            stopReadAloud();
+            return;
+        }
+    }
+
+    // 2.9 Link Hints - digits pick a label, Backspace dismisses, any other key leaves hint mode
+    if (isLinkHintsActive) {
+        if (/^[0-9]$/.test(e.key)) {
+            e.preventDefault();
+            if (!e.repeat) typeLinkHintDigit(e.key);
+            return;
+        }
+        endLinkHints();
+        if (['Backspace', 'Escape', 'SoftRight', 'F2'].includes(e.key)) {
+            e.preventDefault();
+            return;
+        }
+    }
+
     // 3. URL Bar Backspace Handling - Allow text deletion, only close if empty
     if (isUrlBarOpen && e.key === 'Backspace') {
         const input = document.getElementById('url-input');
@@ -709,6 +6622,16 @@ window.addEventListener('keydown', (e) => {
         return;
     }
 
+    // 3.25 Form field editing - Backspace deletes text, leaves the field only when empty
+    if (!isMenuOpen && !isUrlBarOpen && e.key === 'Backspace' && isEditableField(document.activeElement) && document.activeElement.closest('#reader')) {
+        if (document.activeElement.value.length === 0) {
+            e.preventDefault();
+            clearLinkSelection();
+            document.getElementById('reader').focus();
+        }
+        return;
+    }
+
     // 3.5 Link selection and navigation when reader is active
     // Behavior: Arrow keys will select the link nearest the reader viewport
     // (preferring the arrow direction) when starting link navigation.
@@ -740,6 +6663,30 @@ window.addEventListener('keydown', (e) => {
         return;
     }
 
+    // 3.75 Left/Right: previous/next heading in heading-jump mode, else horizontal scrolling of
+    // wide tables (table scroll mode). A link selected inside a wide table keeps scrolling it.
+    if (!isMenuOpen && !isUrlBarOpen && !isAboutOpen && (e.key === 'ArrowLeft' || e.key === 'ArrowRight') &&
+        !isEditableField(document.activeElement)) {
+        const selected = document.querySelector('#reader .link-selected');
+        if (isHeadingJumpEnabled() && !(selected && selected.closest('.table-scroll'))) {
+            e.preventDefault();
+            jumpToHeading(e.key === 'ArrowRight' ? 1 : -1);
+            return;
+        }
+        if (scrollWideTable(e.key === 'ArrowRight' ? 1 : -1)) {
+            e.preventDefault();
+            return;
+        }
+    }
+
+    // 3.8 Palette picking on a theme editor color field
+    if (isMenuOpen && themeDraft && (e.key === 'ArrowLeft' || e.key === 'ArrowRight') &&
+        document.activeElement && document.activeElement.hasAttribute('data-theme-field')) {
+        e.preventDefault();
+        cycleThemeDraftColor(document.activeElement.getAttribute('data-theme-field'), e.key === 'ArrowRight' ? 1 : -1);
+        return;
+    }
+
     // 4. Arrow Navigation for Menus - MORE ROBUST
     if (isMenuOpen && (e.key === 'ArrowDown' || e.key === 'ArrowUp')) {
         e.preventDefault();
@@ -761,6 +6708,17 @@ window.addEventListener('keydown', (e) => {
         return;
     }
 
+    // 4.5 Keypad shortcuts from the key map (never while typing in a form field)
+    if (!isMenuOpen && !isUrlBarOpen && KEYPAD_KEYS.includes(e.key) && !isEditableField(document.activeElement)) {
+        const actionId = getKeyMap()[e.key];
+        if (actionId) {
+            e.preventDefault();
+            runShortcut(actionId);
+            updateSoftkeyLabels();
+        }
+        return;
+    }
+
     // 5. Main Controller
     switch (e.key) {
         case 'SoftLeft': case 'F1':
@@ -774,18 +6732,19 @@ window.addEventListener('keydown', (e) => {
             }
             break;
         case 'Enter':
+            // Let the system picker open for drop-down fields
+            if (!isMenuOpen && !isUrlBarOpen && document.activeElement && document.activeElement.tagName === 'SELECT') break;
             e.preventDefault();
             if (isUrlBarOpen) {
                 handleUrlSubmit();
             } else if (isMenuOpen) {
                 handleMenuAction(document.activeElement.getAttribute('data-action'));
             } else if (!isMenuOpen && !isUrlBarOpen && !isAboutOpen && selectedLinkIndex !== -1) {
-                // Open the currently selected link (sorted spatially)
+                // Open the currently selected link or activate the field (sorted spatially)
                 const links = getSortedLinks();
-                const link = links[selectedLinkIndex];
-                if (link && link.href) loadPage(link.href);
+                activateReaderItem(links[selectedLinkIndex]);
             } else if (document.activeElement && document.activeElement.tagName === 'A') {
-                loadPage(document.activeElement.href);
+                followLink(document.activeElement);
             }
             break;
         case 'Escape':
@@ -799,9 +6758,12 @@ window.addEventListener('keydown', (e) => {
             }
             break;
         case 'Backspace':
+            // Let menu search boxes delete text before Backspace closes the menu
+            if (isMenuOpen && document.activeElement && document.activeElement.tagName === 'INPUT' && document.activeElement.value.length > 0) break;
             e.preventDefault();
             if (isMenuOpen) closeMenu();
-            else if (historyStack.length > 0) loadPage(historyStack.pop(), true);
+            else if (activeActivity && historyStack.length <= activityReturnDepth) finishActivity();
+            else if (historyStack.length > 0) goBack();
             else window.close();
             break;
     }
@@ -816,8 +6778,22 @@ function updateSoftkeyLabels() {
 
     l.innerText = ""; c.innerText = ""; r.innerText = "";
 
-    if (isAboutOpen) {
+    if (isAboutOpen || isHelpOpen) {
         c.innerText = "CLOSE";
+    } else if (isPromptOpen) {
+        l.innerText = "Cancel";
+        c.innerText = "OK";
+    } else if (isFindActive) {
+        l.innerText = "Find";
+        c.innerText = `${findIndex + 1} of ${findMatches.length}`;
+        r.innerText = "Done";
+    } else if (isLinkHintsActive) {
+        c.innerText = linkHintInput || "TYPE #";
+        r.innerText = "Cancel";
+    } else if (isReadingAloud && !isMenuOpen && !isUrlBarOpen) {
+        l.innerText = "Skip";
+        c.innerText = isReadAloudPaused ? "RESUME" : "PAUSE";
+        r.innerText = "Menu";
     } else if (isUrlBarOpen) {
         l.innerText = "Cancel";
         c.innerText = "GO";
@@ -828,17 +6804,36 @@ function updateSoftkeyLabels() {
     } else {
         l.innerText = "URL";
         // If a link is selected in the reader, offer OPEN on center softkey
-        const readerHasSelectedLink = (selectedLinkIndex !== -1) || !!document.querySelector('#reader a.kai-link.link-selected') || (document.activeElement && document.activeElement.tagName === 'A' && document.activeElement.closest && document.activeElement.closest('#reader'));
-        if (readerHasSelectedLink) {
+        const selectedItem = document.querySelector('#reader .link-selected');
+        const readerHasSelectedLink = (selectedLinkIndex !== -1) || !!selectedItem || (document.activeElement && document.activeElement.tagName === 'A' && document.activeElement.closest && document.activeElement.closest('#reader'));
+        if (selectedItem && selectedItem.classList.contains('image-placeholder')) {
+            c.innerText = "LOAD";
+            r.innerText = "Menu";
+        } else if (selectedItem && selectedItem.classList.contains('json-toggle')) {
+            c.innerText = "TOGGLE";
+            r.innerText = "Menu";
+        } else if (selectedItem && selectedItem.classList.contains('kai-field')) {
+            if (selectedItem.classList.contains('kai-form-submit')) c.innerText = "SUBMIT";
+            else if (selectedItem.type === 'checkbox') c.innerText = "TOGGLE";
+            else if (selectedItem.tagName === 'SELECT' || selectedItem.type === 'radio') c.innerText = "SELECT";
+            else if (selectedItem.tagName === 'TEXTAREA') c.innerText = "";
+            else c.innerText = "GO";
+            r.innerText = "Menu";
+        } else if (readerHasSelectedLink) {
             c.innerText = "OPEN";
             r.innerText = "Menu";
         } else {
-            c.innerText = historyStack.length > 0 ? "BACK" : "";
+            c.innerText = (historyStack.length > 0 || activeActivity) ? "BACK" : "";
             r.innerText = "Menu";
         }
     }
 }
 
+// A link hint's last digit opens on release, or shows link actions when held
+window.addEventListener('keyup', (e) => {
+    if (linkHintPress && /^[0-9]$/.test(e.key)) finishLinkHintPress(false);
+});
+
 // --- SERVICE WORKER REGISTRATION (for offline support) ---
 if ('serviceWorker' in navigator) {
     navigator.serviceWorker.register('./src/sw.js').catch(err => {
@@ -846,6 +6841,77 @@ if ('serviceWorker' in navigator) {
     });
 }
 
+// --- WEB ACTIVITY HANDLER ("view" activity declared in manifest.webapp) ---
+function handleViewActivity(activityRequest) {
+    // Requests arriving mid-load wait for it to finish; only the latest one is kept
+    if (isLoading) {
+        if (queuedActivity && queuedActivity !== activityRequest) {
+            try { queuedActivity.postError('Replaced by a newer request'); } catch (err) { }
+        }
+        queuedActivity = activityRequest;
+        return;
+    }
+
+    // A new request replaces any activity still waiting for the user to back out
+    if (activeActivity) finishActivity();
+
+    const data = (activityRequest && activityRequest.source && activityRequest.source.data) || {};
+    let url = data.url;
+    try {
+        const parsed = new URL(url);
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') throw new Error('Unsupported protocol');
+        url = parsed.href;
+    } catch (e) {
+        try { activityRequest.postError('Invalid URL'); } catch (err) { }
+        showNotification('Could not open shared link', true);
+        return;
+    }
+
+    if (isMenuOpen) closeMenu();
+    if (isUrlBarOpen) toggleUrlBar();
+    if (isAboutOpen) closeAbout();
+
+    activeActivity = activityRequest;
+    activityLoadFailed = false;
+    // loadPage() pushes the current page (if any), so BACK from this depth returns to the caller
+    activityReturnDepth = historyStack.length + (currUrl !== "" && currUrl !== url ? 1 : 0);
+
+    loadPage(url).then((ok) => {
+        if (activeActivity === activityRequest) activityLoadFailed = !ok;
+    });
+}
+
+function finishActivity() {
+    const activity = activeActivity;
+    activeActivity = null;
+    if (!activity) return;
+    try {
+        if (activityLoadFailed) {
+            activity.postError('Failed to load page');
+        } else {
+            activity.postResult({ url: currUrl });
+        }
+    } catch (e) {
+        console.warn('Activity result failed:', e);
+    }
+    updateSoftkeyLabels();
+}
+
+if (navigator.mozSetMessageHandler) {
+    try {
+        navigator.mozSetMessageHandler('activity', (activityRequest) => {
+            const name = activityRequest && activityRequest.source && activityRequest.source.name;
+            if (name === 'view') {
+                handleViewActivity(activityRequest);
+            } else {
+                try { activityRequest.postError('Unsupported activity'); } catch (e) { }
+            }
+        });
+    } catch (e) {
+        console.warn('Activity handler registration failed:', e);
+    }
+}
+
 // --- FOCUS TRAP FOR MENU (Arrows stay within menu items) ---
 function setupMenuFocusTrap() {
     const menu = document.getElementById('option-menu');
@@ -881,23 +6947,51 @@ window.addEventListener('DOMContentLoaded', () => {
     document.getElementById('reader').className = 'text-' + currentSize;
     applyColorMode(colorMode);
     setupMenuFocusTrap();
+    dropSessionCookies();
 
     // Ensure reader gets initial focus
     document.getElementById('reader').focus();
 
     const lastUrl = getSafeLocalStorage('lastVisitedUrl', '');
 
+    // Launched by another app: the activity handler will load its URL instead
+    let hasPendingActivity = false;
+    try {
+        hasPendingActivity = !!(navigator.mozHasPendingMessage && navigator.mozHasPendingMessage('activity'));
+    } catch (e) { }
+
+    const sessionEntry = hasPendingActivity ? null : restoreSession();
+    if (tabs.length === 0) tabs = [createTab()];
+    if (sessionEntry && sessionEntry.url !== lastUrl) {
+        // Stale session from an older run: keep only the last URL
+        historyStack = [];
+        forwardStack = [];
+    }
+
     // Show welcome screen on first load or if no saved URL
-    if (!lastUrl) {
+    if (hasPendingActivity) {
+        if (!currUrl && !isLoading) showWelcome();
+    } else if (sessionEntry && sessionEntry.url === lastUrl) {
+        // Relaunch into the saved back/forward session at the saved position
+        loadPage(sessionEntry.url, true, { restore: sessionEntry });
+    } else if (!lastUrl) {
         showWelcome();
     } else {
         loadPage(lastUrl);
     }
+
+    refreshFeedsOnLaunch();
 });
 
 // Handle page unload to save state
 window.addEventListener('beforeunload', () => {
     setSafeLocalStorage('lastVisitedUrl', currUrl);
+    saveSession();
+});
+
+// KaiOS may kill backgrounded apps without firing beforeunload
+document.addEventListener('visibilitychange', () => {
+    if (document.hidden) saveSession();
 });
 
 // Click interceptor for the "Mouse" or virtual cursor
@@ -910,10 +7004,16 @@ if (document.getElementById('reader')) {
             e.preventDefault();
             return;
         }
+        const submit = e.target.closest('.kai-form-submit');
+        if (submit) {
+            e.preventDefault();
+            if (!submit.disabled) submitForm(submit.closest('.kai-form'), submit);
+            return;
+        }
         const link = e.target.closest('a');
         if (link) {
             e.preventDefault();
-            loadPage(link.href);
+            followLink(link);
         }
     });
 